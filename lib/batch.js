@@ -0,0 +1,56 @@
+/**
+ * Batch helpers
+ * Chia việc lớn (hàng nghìn follower / token) thành từng phần và giới hạn số phần chạy song song,
+ * để không vượt quota Firestore / FCM và không mở hàng nghìn request cùng lúc.
+ */
+
+/**
+ * Chia mảng thành các phần tối đa `size` phần tử
+ * @template T
+ * @param {T[]} items
+ * @param {number} size
+ * @returns {T[][]}
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Như Promise.all(items.map(fn)) nhưng tối đa `concurrency` fn chạy cùng lúc, giữ thứ tự kết quả.
+ * 1 fn lỗi → reject (các fn đang chạy vẫn chạy nốt, không lấy thêm phần tử mới)
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} concurrency
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<R[]>}
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && next < items.length) {
+      const index = next;
+      next += 1;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
+
+module.exports = {
+  chunk,
+  mapWithConcurrency,
+};
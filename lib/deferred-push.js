@@ -0,0 +1,79 @@
+/**
+ * Deferred Push
+ * Push bị hoãn bởi quiet hours (mode 'defer', xem lib/quiet-hours.js) được gửi lại bằng job DEFERRED_PUSH_JOB
+ * trong hàng đợi (lib/job-queue.js), chạy lúc quiet hours của người nhận kết thúc.
+ *
+ * Job id = người nhận + collapse key (hoặc nội dung) + thời điểm gửi:
+ * - push cùng chat / bài viết trong cùng 1 khung quiet hours thay push trước (chỉ gửi bản mới nhất)
+ * - lúc chạy vẫn còn trong quiet hours (user đổi giờ) → hoãn tiếp bằng job mới với runAt khác,
+ *   không đè lên job đang chạy
+ */
+
+const crypto = require('crypto');
+
+const DEFERRED_PUSH_JOB = 'deferred_push';
+
+/**
+ * @param {string} recipientId
+ * @param {object} payload - Payload FCM
+ * @param {number} runAt - Thời điểm gửi (epoch ms)
+ * @returns {string}
+ */
+function getDeferredPushJobId(recipientId, payload, runAt) {
+  const key = payload.collapseKey || JSON.stringify(payload);
+  const hash = crypto.createHash('sha256').update(`${recipientId}:${key}`).digest('hex');
+  return `deferred_${hash}_${runAt}`;
+}
+
+/**
+ * Hẹn gửi 1 push
+ * @param {object} queue - Kết quả createJobQueue, có handler DEFERRED_PUSH_JOB
+ * @param {object} push
+ * @param {string} push.recipientId
+ * @param {object} push.payload - Payload FCM
+ * @param {string} push.type - Loại thông báo
+ * @param {string} [push.senderId]
+ * @param {number} runAt - Thời điểm gửi (epoch ms), thường là getQuietHoursEnd(quietHours)
+ * @returns {Promise<object>} Job
+ */
+async function enqueueDeferredPush(queue, { recipientId, payload, type, senderId }, runAt) {
+  return queue.enqueue(
+    DEFERRED_PUSH_JOB,
+    { recipientId, type, senderId: senderId || null, payload },
+    { id: getDeferredPushJobId(recipientId, payload, runAt), runAt, scheduled: false }
+  );
+}
+
+/**
+ * Handler của DEFERRED_PUSH_JOB: đọc lại người nhận lúc gửi rồi gửi qua `send`
+ * (send tự hoãn tiếp nếu vẫn trong quiet hours, bỏ nếu user đã tắt push)
+ * @param {object} options
+ * @param {(recipientId: string) => Promise<{exists: boolean, devices: Array<object>}>} options.getRecipient
+ * @param {(recipient: object, payload: object, options: {recipientId: string, type: string, senderId?: string}) =>
+ *   Promise<{sent: number, total: number, pruned: number, delivery: string, deferredUntil?: string}>} options.send
+ */
+function createDeferredPushHandler({ getRecipient, send }) {
+  return async ({ recipientId, type, senderId, payload }) => {
+    const recipient = await getRecipient(recipientId);
+    if (!recipient.exists || recipient.devices.length === 0) {
+      return { success: true, message: 'Recipient has no devices', sent: 0 };
+    }
+
+    const result = await send(recipient, payload, { recipientId, type, senderId: senderId || undefined });
+    return {
+      success: true,
+      sent: result.sent,
+      total: result.total,
+      pruned: result.pruned,
+      delivery: result.delivery,
+      ...(result.deferredUntil ? { deferredUntil: result.deferredUntil } : {}),
+    };
+  };
+}
+
+module.exports = {
+  DEFERRED_PUSH_JOB,
+  getDeferredPushJobId,
+  enqueueDeferredPush,
+  createDeferredPushHandler,
+};
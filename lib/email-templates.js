@@ -0,0 +1,189 @@
+/**
+ * Email Templates
+ * Template engine nhỏ cho email (OTP và các email thông báo sau này).
+ *
+ * templates/email/
+ *   _layout/layout.html        layout chung (branding, CSS, footer)
+ *   _layout/<locale>.json      chuỗi dùng trong layout
+ *   <name>/<locale>.html       nội dung email
+ *   <name>/<locale>.json       chuỗi: subject, heading, ... và `variants` (vd theo purpose của OTP)
+ *
+ * Cú pháp: {{path}} (escape HTML), {{{path}}} (không escape).
+ * Trong template có: params truyền vào, `t` (chuỗi của template), `layout`, `brand`, `year`, `locale`.
+ * Bản text/plain được sinh tự động từ HTML.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pickLocale, DEFAULT_LOCALE } = require('./i18n');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'email');
+
+const BRAND = {
+  name: 'ChatLofi',
+  color: '#006AF5',
+  colorDark: '#0052CC',
+};
+
+const cache = new Map();
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * @param {object} obj
+ * @param {string} keyPath - vd "t.heading"
+ */
+function lookup(obj, keyPath) {
+  return keyPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+/**
+ * Thay {{path}} / {{{path}}} bằng giá trị trong context
+ * @param {string} template
+ * @param {object} context
+ * @param {object} [options]
+ * @param {boolean} [options.escape=true] - false khi render chuỗi thuần (subject, text)
+ */
+function renderString(template, context, { escape = true } = {}) {
+  return template
+    .replace(/\{\{\{\s*([\w.]+)\s*\}\}\}/g, (_, key) => String(lookup(context, key) ?? ''))
+    .replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, key) => {
+      const value = lookup(context, key) ?? '';
+      return escape ? escapeHtml(value) : String(value);
+    });
+}
+
+/**
+ * Render tất cả chuỗi trong object (không escape, sẽ được escape khi chèn vào HTML)
+ * @param {object} strings
+ * @param {object} context
+ */
+function renderStrings(strings, context) {
+  return Object.fromEntries(
+    Object.entries(strings).map(([key, value]) => [
+      key,
+      typeof value === 'string' ? renderString(value, context, { escape: false }) : value,
+    ])
+  );
+}
+
+/**
+ * Chuyển HTML sang text/plain
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+  return html
+    .replace(/<(style|head|title)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/>\s+</g, '><')
+    .replace(/<li[^>]*>/gi, '- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(li|tr)>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|ul|ol|table)>/gi, '\n\n')
+    .replace(/<(ul|ol)[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .split('\n')
+    .map((line) => line.replace(/\s+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Đọc file trong templates/email (có cache)
+ * @param {string} relativePath
+ * @returns {string|null}
+ */
+function readTemplateFile(relativePath) {
+  if (cache.has(relativePath)) return cache.get(relativePath);
+  const fullPath = path.join(TEMPLATE_DIR, relativePath);
+  const content = fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : null;
+  cache.set(relativePath, content);
+  return content;
+}
+
+/**
+ * Đọc template theo locale, fallback về DEFAULT_LOCALE nếu chưa dịch
+ * @param {string} name
+ * @param {string} locale
+ */
+function loadTemplate(name, locale) {
+  for (const candidate of [locale, DEFAULT_LOCALE]) {
+    const html = readTemplateFile(`${name}/${candidate}.html`);
+    const strings = readTemplateFile(`${name}/${candidate}.json`);
+    if (html !== null && strings !== null) {
+      return { html, strings: JSON.parse(strings), locale: candidate };
+    }
+  }
+  throw new Error(`Email template not found: ${name}`);
+}
+
+/**
+ * Render email hoàn chỉnh (subject + HTML + text)
+ * @param {string} name - Tên template (thư mục trong templates/email)
+ * @param {object} [options]
+ * @param {string} [options.locale] - Locale mong muốn (fallback DEFAULT_LOCALE)
+ * @param {string} [options.variant] - Ghi đè chuỗi bằng `variants[variant]`
+ * @param {object} [options.params] - Biến truyền vào template
+ * @returns {{subject: string, html: string, text: string, locale: string}}
+ */
+function renderEmail(name, { locale, variant, params = {} } = {}) {
+  const template = loadTemplate(name, pickLocale(locale));
+  const { variants = {}, ...baseStrings } = template.strings;
+  if (variant && !variants[variant]) {
+    throw new Error(`Unknown variant "${variant}" for email template ${name}`);
+  }
+
+  const baseContext = {
+    ...params,
+    brand: BRAND,
+    year: new Date().getFullYear(),
+    locale: template.locale,
+  };
+
+  const layoutStrings = JSON.parse(
+    readTemplateFile(`_layout/${template.locale}.json`) || readTemplateFile(`_layout/${DEFAULT_LOCALE}.json`)
+  );
+
+  const context = {
+    ...baseContext,
+    t: renderStrings({ ...baseStrings, ...(variants[variant] || {}) }, baseContext),
+    layout: renderStrings(layoutStrings, baseContext),
+  };
+  context.subject = context.t.subject;
+
+  const content = renderString(template.html, context);
+  const html = renderString(readTemplateFile('_layout/layout.html'), { ...context, content });
+  const text = [
+    context.t.heading,
+    htmlToText(content),
+    `—\n${context.layout.copyright}\n${context.layout.automated}`,
+  ]
+    .filter(Boolean)
+    .join('\n\n');
+
+  return { subject: context.subject, html, text, locale: template.locale };
+}
+
+module.exports = {
+  renderEmail,
+  renderString,
+  htmlToText,
+};
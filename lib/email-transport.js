@@ -0,0 +1,235 @@
+/**
+ * Email Transport
+ * Interface gửi email với nhiều provider:
+ * - resend:  Resend API (HTTP, chạy được trên Render free tier)
+ * - smtp:    SMTP qua nodemailer
+ * - console: in email ra console (chỉ local)
+ * - file:    ghi email ra thư mục (chỉ local, EMAIL_FILE_DIR)
+ *
+ * Mỗi transport: { name, send({ from, replyTo?, to, subject, html, text }) → { id } }
+ * createFailoverTransport thử lần lượt từng transport cho đến khi gửi thành công.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FROM = 'ChatLofi <onboarding@resend.dev>';
+const DEV_ONLY_TRANSPORTS = ['console', 'file'];
+
+// =======================
+// Resend
+// =======================
+
+/**
+ * @param {object} options
+ * @param {string} options.apiKey
+ */
+function createResendTransport({ apiKey }) {
+  if (!apiKey) {
+    throw new Error('Resend transport requires RESEND_API_KEY');
+  }
+  const { Resend } = require('resend');
+  const resend = new Resend(apiKey);
+
+  return {
+    name: 'resend',
+
+    async send({ from, replyTo, to, subject, html, text }) {
+      const { data, error } = await resend.emails.send({
+        from,
+        to: [to],
+        subject,
+        html,
+        text,
+        ...(replyTo ? { replyTo } : {}),
+      });
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      return { id: data?.id };
+    },
+  };
+}
+
+// =======================
+// SMTP (nodemailer)
+// =======================
+
+/**
+ * @param {object} options
+ * @param {string} options.host
+ * @param {number} [options.port=587]
+ * @param {boolean} [options.secure] - Mặc định true nếu port 465
+ * @param {string} [options.user]
+ * @param {string} [options.pass]
+ */
+function createSmtpTransport({ host, port = 587, secure, user, pass }) {
+  if (!host) {
+    throw new Error('SMTP transport requires SMTP_HOST');
+  }
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure: secure ?? port === 465,
+    ...(user ? { auth: { user, pass } } : {}),
+  });
+
+  return {
+    name: 'smtp',
+
+    async send({ from, replyTo, to, subject, html, text }) {
+      const info = await transporter.sendMail({ from, replyTo, to, subject, html, text });
+      return { id: info.messageId };
+    },
+  };
+}
+
+// =======================
+// Console / File (local development)
+// =======================
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+
+    async send({ from, to, subject, text }) {
+      const id = `console-${Date.now()}`;
+      console.log(`📨 [console email] ${id}\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n`);
+      return { id };
+    },
+  };
+}
+
+/**
+ * Ghi mỗi email thành 1 file .html và 1 file .txt trong thư mục
+ * @param {object} options
+ * @param {string} options.dir
+ */
+function createFileTransport({ dir }) {
+  if (!dir) {
+    throw new Error('File transport requires EMAIL_FILE_DIR');
+  }
+
+  return {
+    name: 'file',
+
+    async send({ from, to, subject, html, text }) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const id = `${Date.now()}-${String(to).replace(/[^a-zA-Z0-9@._-]/g, '_')}`;
+      const header = `From: ${from}\nTo: ${to}\nSubject: ${subject}\n\n`;
+      await fs.promises.writeFile(path.join(dir, `${id}.txt`), header + text);
+      await fs.promises.writeFile(path.join(dir, `${id}.html`), html);
+      console.log(`📨 [file email] ${subject} → ${path.join(dir, id)}.{txt,html}`);
+      return { id };
+    },
+  };
+}
+
+// =======================
+// Failover
+// =======================
+
+/**
+ * Thử lần lượt từng transport, transport đầu tiên gửi thành công sẽ được dùng
+ * @param {Array<object>} transports
+ */
+function createFailoverTransport(transports) {
+  return {
+    name: transports.map((t) => t.name).join('>'),
+    transports,
+
+    async send(message) {
+      const errors = [];
+      for (const transport of transports) {
+        try {
+          const result = await transport.send(message);
+          return { ...result, provider: transport.name };
+        } catch (error) {
+          console.error(`❌ Email via ${transport.name} failed: ${error.message}`);
+          errors.push(`${transport.name}: ${error.message}`);
+        }
+      }
+      throw new Error(`All email transports failed (${errors.join('; ')})`);
+    },
+  };
+}
+
+/**
+ * Tạo transport từ env
+ * - EMAIL_TRANSPORTS: thứ tự provider, vd "resend,smtp"
+ *   (mặc định: resend nếu có RESEND_API_KEY, smtp nếu có SMTP_HOST, console nếu không phải production)
+ * - EMAIL_FROM / EMAIL_REPLY_TO: người gửi
+ * @param {NodeJS.ProcessEnv} env
+ */
+function createEmailTransport(env = process.env) {
+  const isProduction = env.NODE_ENV === 'production' || Boolean(env.RENDER);
+
+  const names = (env.EMAIL_TRANSPORTS || '')
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+  if (names.length === 0) {
+    if (env.RESEND_API_KEY) names.push('resend');
+    if (env.SMTP_HOST) names.push('smtp');
+    if (names.length === 0 && !isProduction) names.push('console');
+  }
+
+  if (names.length === 0) {
+    throw new Error('No email transport configured. Set RESEND_API_KEY, SMTP_HOST or EMAIL_TRANSPORTS');
+  }
+
+  const transports = names.map((name) => {
+    if (isProduction && DEV_ONLY_TRANSPORTS.includes(name)) {
+      // Console / file in cả mã OTP → không dùng trên production
+      throw new Error(`Email transport "${name}" is not allowed in production`);
+    }
+    switch (name) {
+      case 'resend':
+        return createResendTransport({ apiKey: env.RESEND_API_KEY });
+      case 'smtp':
+        return createSmtpTransport({
+          host: env.SMTP_HOST,
+          port: parseInt(env.SMTP_PORT, 10) || 587,
+          secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : undefined,
+          user: env.SMTP_USER,
+          pass: env.SMTP_PASS,
+        });
+      case 'console':
+        return createConsoleTransport();
+      case 'file':
+        return createFileTransport({ dir: env.EMAIL_FILE_DIR || './tmp/emails' });
+      default:
+        throw new Error(`Unknown email transport: ${name}`);
+    }
+  });
+
+  const transport = createFailoverTransport(transports);
+  const from = env.EMAIL_FROM || DEFAULT_FROM;
+  const replyTo = env.EMAIL_REPLY_TO || undefined;
+
+  return {
+    name: transport.name,
+    from,
+
+    /**
+     * @param {{to: string, subject: string, html: string, text: string}} message
+     * @returns {Promise<{id: string, provider: string}>}
+     */
+    send(message) {
+      return transport.send({ from, replyTo, ...message });
+    },
+  };
+}
+
+module.exports = {
+  createEmailTransport,
+  createFailoverTransport,
+  createResendTransport,
+  createSmtpTransport,
+  createConsoleTransport,
+  createFileTransport,
+};
@@ -0,0 +1,42 @@
+/**
+ * Firebase Admin
+ * Khởi tạo firebase-admin từ env, dùng chung cho server và các script trong scripts/.
+ * - FIREBASE_SERVICE_ACCOUNT: JSON service account (Render / Prod)
+ * - GOOGLE_APPLICATION_CREDENTIALS: đường dẫn file JSON (Local)
+ */
+
+const admin = require('firebase-admin');
+
+/**
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {import('firebase-admin').app.App}
+ * @throws {Error} Khi không có credentials hoặc JSON sai
+ */
+function initializeFirebase(env = process.env) {
+  if (env.FIREBASE_SERVICE_ACCOUNT) {
+    // Render / Prod: dùng JSON trong env
+    const serviceAccount = JSON.parse(env.FIREBASE_SERVICE_ACCOUNT);
+    const app = admin.initializeApp({
+      credential: admin.credential.cert(serviceAccount),
+    });
+    console.log('✅ Firebase Admin initialized from FIREBASE_SERVICE_ACCOUNT');
+    return app;
+  }
+
+  if (env.GOOGLE_APPLICATION_CREDENTIALS) {
+    // Local: dùng file JSON qua GOOGLE_APPLICATION_CREDENTIALS
+    const app = admin.initializeApp({
+      credential: admin.credential.applicationDefault(),
+    });
+    console.log('✅ Firebase Admin initialized from GOOGLE_APPLICATION_CREDENTIALS');
+    return app;
+  }
+
+  throw new Error(
+    'No Firebase credentials found. Please set FIREBASE_SERVICE_ACCOUNT or GOOGLE_APPLICATION_CREDENTIALS'
+  );
+}
+
+module.exports = {
+  initializeFirebase,
+};
@@ -0,0 +1,180 @@
+/**
+ * i18n
+ * - Chọn locale (dùng chung cho email và push)
+ * - Message catalog cho push notification: templates/push/<locale>.json, key theo loại thông báo (vd "post_comment.body").
+ *
+ * - Tham số: "{name} đã bình luận" + { name: 'An' }
+ * - Số nhiều: giá trị là object theo Intl.PluralRules ({ "one": "...", "other": "..." }), chọn theo params.count
+ * - Key chưa dịch ở locale → fallback DEFAULT_LOCALE → trả về chính key
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CATALOG_DIR = path.join(__dirname, '..', 'templates', 'push');
+const SUPPORTED_LOCALES = ['vi', 'en'];
+const DEFAULT_LOCALE = 'vi';
+
+const catalogs = new Map();
+
+/**
+ * Chuẩn hoá locale về dạng hỗ trợ ('en-US' → 'en', 'vi_VN' → 'vi')
+ * @param {string} locale
+ * @returns {string|null}
+ */
+function normalizeLocale(locale) {
+  if (typeof locale !== 'string') return null;
+  const language = locale.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+/**
+ * Đọc header Accept-Language, trả về locale hỗ trợ có q cao nhất
+ * @param {string} header - vd "en-US,en;q=0.9,vi;q=0.8"
+ * @returns {string|null}
+ */
+function parseAcceptLanguage(header) {
+  if (typeof header !== 'string' || header.length === 0) return null;
+  const candidates = header
+    .split(',')
+    .map((part) => {
+      const [tag, ...attrs] = part.trim().split(';');
+      const q = attrs.find((a) => a.trim().startsWith('q='));
+      return { locale: normalizeLocale(tag), q: q ? parseFloat(q.trim().slice(2)) || 0 : 1 };
+    })
+    .filter((c) => c.locale)
+    .sort((a, b) => b.q - a.q);
+  return candidates.length > 0 ? candidates[0].locale : null;
+}
+
+/**
+ * Chọn locale đầu tiên hợp lệ trong danh sách, không có thì DEFAULT_LOCALE
+ * @param {...string} candidates
+ * @returns {string}
+ */
+function pickLocale(...candidates) {
+  for (const candidate of candidates) {
+    const locale = normalizeLocale(candidate);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * @param {string} locale
+ * @returns {object}
+ */
+function loadCatalog(locale) {
+  if (!catalogs.has(locale)) {
+    const file = path.join(CATALOG_DIR, `${locale}.json`);
+    catalogs.set(locale, fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {});
+  }
+  return catalogs.get(locale);
+}
+
+/**
+ * @param {object} catalog
+ * @param {string} key - vd "post_comment.body"
+ */
+function lookup(catalog, key) {
+  return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), catalog);
+}
+
+/**
+ * Key có tồn tại trong catalog (locale hoặc fallback) không
+ * @param {string} locale
+ * @param {string} key
+ */
+function has(locale, key) {
+  return lookup(loadCatalog(pickLocale(locale)), key) != null || lookup(loadCatalog(DEFAULT_LOCALE), key) != null;
+}
+
+/**
+ * Dịch 1 key
+ * @param {string} locale
+ * @param {string} key
+ * @param {object} [params]
+ * @returns {string}
+ */
+function t(locale, key, params = {}) {
+  const resolved = pickLocale(locale);
+  let entry = lookup(loadCatalog(resolved), key) ?? lookup(loadCatalog(DEFAULT_LOCALE), key);
+
+  if (entry == null) {
+    return key;
+  }
+
+  if (typeof entry === 'object') {
+    const form = new Intl.PluralRules(resolved).select(Number(params.count) || 0);
+    entry = entry[form] ?? entry.other;
+  }
+
+  return String(entry).replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] === undefined || params[name] === null ? match : String(params[name])
+  );
+}
+
+/**
+ * Tạo title + body cho 1 loại thông báo.
+ * Nếu không có params.name (không biết tên người gửi) thì dùng key `*_anonymous` (nếu có).
+ * @param {string} locale
+ * @param {string} type - Key gốc trong catalog (vd 'friend_request')
+ * @param {object} [params]
+ * @returns {{title: string, body: string}}
+ */
+function formatNotification(locale, type, params = {}) {
+  const anonymous = !params.name;
+  const pick = (field) =>
+    anonymous && has(locale, `${type}.${field}_anonymous`) ? `${type}.${field}_anonymous` : `${type}.${field}`;
+
+  return {
+    title: t(locale, pick('title'), params),
+    body: t(locale, pick('body'), params),
+  };
+}
+
+/**
+ * Danh sách tên cho thông báo gộp: "A", "A và B", "A, B và 12 người khác"
+ * @param {string} locale
+ * @param {string[]} names - Tên người gần nhất trước (chỉ dùng 2 tên đầu)
+ * @param {number} [total] - Tổng số người (mặc định names.length)
+ * @returns {string}
+ */
+function formatNameList(locale, names, total = names.length) {
+  const [first, second] = names;
+  if (total <= 1 || !second) return first || '';
+  if (total === 2) return t(locale, 'common.names.two', { first, second });
+  return t(locale, 'common.names.many', {
+    first,
+    second,
+    others: t(locale, 'common.others', { count: total - 2 }),
+  });
+}
+
+/**
+ * Title + body cho thông báo gộp nhiều người (key `<type>.body_aggregated`, tham số {names}, {count})
+ * @param {string} locale
+ * @param {string} type
+ * @param {string[]} names - Tên người gần nhất trước
+ * @param {number} total
+ * @returns {{title: string, body: string}}
+ */
+function formatAggregatedNotification(locale, type, names, total) {
+  return {
+    title: t(locale, `${type}.title`),
+    body: t(locale, `${type}.body_aggregated`, { names: formatNameList(locale, names, total), count: total }),
+  };
+}
+
+module.exports = {
+  normalizeLocale,
+  parseAcceptLanguage,
+  pickLocale,
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  t,
+  has,
+  formatNotification,
+  formatNameList,
+  formatAggregatedNotification,
+};
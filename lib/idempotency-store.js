@@ -0,0 +1,107 @@
+/**
+ * Idempotency Store
+ * Ghi nhớ request đã nhận (key → jobId) trong 1 cửa sổ thời gian, để request lặp lại
+ * (app retry khi mạng chập chờn) trả về job cũ thay vì gửi / lưu thông báo lần nữa.
+ * Cùng 2 backend như OTP store:
+ * - memory: Map trong process (test / local)
+ * - firestore: collection `idempotency_keys`, dùng chung giữa nhiều instance
+ *
+ * Interface (tất cả đều async):
+ * - reserve(key, { value, ttlMs }) → { reserved: true } hoặc { reserved: false, value } (key còn hạn)
+ * - release(key)                   → xoá key (vd enqueue lỗi sau khi đã reserve)
+ */
+
+const crypto = require('crypto');
+
+// =======================
+// Memory backend
+// =======================
+
+function createMemoryIdempotencyStore() {
+  const store = new Map(); // key -> { value, expiresAt }
+
+  return {
+    driver: 'memory',
+
+    async reserve(key, { value, ttlMs }) {
+      const now = Date.now();
+      const existing = store.get(key);
+      if (existing && existing.expiresAt > now) {
+        return { reserved: false, value: existing.value };
+      }
+      store.set(key, { value, expiresAt: now + ttlMs });
+      return { reserved: true };
+    },
+
+    async release(key) {
+      store.delete(key);
+    },
+  };
+}
+
+// =======================
+// Firestore backend
+// =======================
+
+/**
+ * Idempotency store trên Firestore.
+ * - Doc ID = sha256(key) (key có thể chứa Idempotency-Key do client đặt)
+ * - `expiresAt` là Timestamp → bật TTL policy để Firestore tự xoá
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {object} [options]
+ * @param {string} [options.collection='idempotency_keys']
+ */
+function createFirestoreIdempotencyStore(db, { collection = 'idempotency_keys' } = {}) {
+  const { Timestamp } = require('firebase-admin').firestore;
+
+  const docRef = (key) =>
+    db.collection(collection).doc(crypto.createHash('sha256').update(key).digest('hex'));
+
+  return {
+    driver: 'firestore',
+
+    async reserve(key, { value, ttlMs }) {
+      // Transaction → 2 request giống nhau đến cùng lúc ở 2 instance chỉ 1 request được reserve
+      const ref = docRef(key);
+      return db.runTransaction(async (tx) => {
+        const now = Date.now();
+        const doc = await tx.get(ref);
+        if (doc.exists && doc.data().expiresAt.toMillis() > now) {
+          return { reserved: false, value: doc.data().value };
+        }
+        tx.set(ref, { value, expiresAt: Timestamp.fromMillis(now + ttlMs) });
+        return { reserved: true };
+      });
+    },
+
+    async release(key) {
+      await docRef(key).delete();
+    },
+  };
+}
+
+/**
+ * Tạo idempotency store theo cấu hình
+ * @param {object} options
+ * @param {'firestore'|'memory'} [options.driver='firestore']
+ * @param {FirebaseFirestore.Firestore} [options.db] - Bắt buộc với driver firestore
+ */
+function createIdempotencyStore({ driver = 'firestore', db } = {}) {
+  switch (driver) {
+    case 'memory':
+      return createMemoryIdempotencyStore();
+    case 'firestore':
+      if (!db) {
+        throw new Error('Firestore idempotency store requires a Firestore instance');
+      }
+      return createFirestoreIdempotencyStore(db);
+    default:
+      throw new Error(`Unknown idempotency store driver: ${driver}`);
+  }
+}
+
+module.exports = {
+  createIdempotencyStore,
+  createMemoryIdempotencyStore,
+  createFirestoreIdempotencyStore,
+};
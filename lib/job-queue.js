@@ -0,0 +1,690 @@
+/**
+ * Job Queue
+ * Hàng đợi bền cho các tác vụ gửi thông báo, với 2 backend (giống lib/otp-store.js):
+ * - memory: Map trong process (dùng cho test / local, mất khi restart)
+ * - firestore: collection `notification_jobs`, dùng chung giữa nhiều instance;
+ *   job lỗi hẳn được chép sang `notification_dead_letters`
+ *
+ * Vòng đời job:
+ *   queued → running → succeeded
+ *               ├─→ queued (lỗi tạm thời: thử lại sau exponential backoff + jitter)
+ *               └─→ dead   (lỗi vĩnh viễn hoặc hết maxAttempts → dead letter)
+ *   queued → cancelled (cancel() khi job chưa chạy)
+ * Job `running` quá `leaseMs` (instance chết giữa chừng) được lấy lại ở lần poll sau. Trong lúc handler chạy,
+ * queue gia hạn lease mỗi leaseMs / 3 (và mỗi lần job.progress) → fan-out chạy lâu không bị lấy lại / gửi trùng;
+ * job đang chạy trong instance không bao giờ bị chính instance đó lấy lại.
+ * Mỗi lần claim có `runId` riêng: kết quả (succeeded / thử lại / dead) chỉ được ghi khi job vẫn thuộc lần chạy đó.
+ * enqueue với id đã có chỉ thay job còn `queued`; job đang chạy / đã xong được giữ nguyên.
+ * Job hẹn giờ (enqueue với runAt trong tương lai) có `scheduled: true`, `sendAt` và nằm trong collection
+ * tới khi đến hạn → không mất khi restart; job xa hơn 1 chu kỳ poll được lấy bởi vòng poll.
+ * Job chạy trễ nội bộ (enqueue với scheduled: false) cũng bền như vậy nhưng không có trong listScheduled.
+ *
+ * Handler: async (payload, job) => result
+ * - job: { id, type, attempts, maxAttempts, createdBy, step(name, fn), progress(value) }
+ * - job.step(name, fn): chạy fn 1 lần, kết quả lưu vào job → lần thử lại dùng lại kết quả
+ *   (vd không lưu notification in-app 2 lần khi chỉ bước push bị lỗi)
+ * - job.progress(value): ghi tiến độ vào field `progress` của job (tối đa 1 lần / PROGRESS_INTERVAL_MS)
+ *   và gia hạn lease, xoá khi job kết thúc
+ * - throw JobFailedError → không thử lại; lỗi khác thử lại khi isRetryable(error) = true
+ *
+ * Mọi thời điểm trong job là timestamp (ms) ở phía queue.
+ */
+
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'dead', 'cancelled'];
+// Field thời gian của job (Firestore lưu dạng Timestamp)
+const TIME_FIELDS = ['runAt', 'sendAt', 'lockedUntil', 'createdAt', 'updatedAt', 'completedAt', 'expiresAt'];
+// Document Firestore tối đa 1MB: result lớn hơn (vd fan-out nhiều nghìn thiết bị) bị rút gọn,
+// nếu không job sẽ không đánh dấu xong được và bị chạy lại (gửi trùng)
+const RESULT_MAX_BYTES = 100 * 1024;
+const PROGRESS_INTERVAL_MS = 2000;
+
+/**
+ * Lỗi vĩnh viễn (không thử lại), vd người nhận không tồn tại
+ */
+class JobFailedError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [options]
+   * @param {number} [options.status=500] - HTTP status tương ứng (trả về khi poll job)
+   * @param {string} [options.code]
+   * @param {object} [options.details]
+   */
+  constructor(message, { status = 500, code, details } = {}) {
+    super(message);
+    this.name = 'JobFailedError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.retryable = false;
+  }
+}
+
+/**
+ * Bỏ undefined / chuyển về dữ liệu JSON thuần (Firestore không nhận undefined)
+ * @param {*} value
+ */
+function toPlain(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Kết quả handler → dữ liệu lưu vào job (bỏ các field mảng / object khi quá RESULT_MAX_BYTES)
+ * @param {*} result
+ */
+function toStoredResult(result) {
+  const plain = toPlain(result);
+  if (!plain || typeof plain !== 'object' || Buffer.byteLength(JSON.stringify(plain)) <= RESULT_MAX_BYTES) {
+    return plain;
+  }
+  const scalars = Object.entries(plain).filter(([_, value]) => value === null || typeof value !== 'object');
+  return { ...Object.fromEntries(scalars), truncated: true };
+}
+
+/**
+ * @param {Error & {code?: string|number, status?: number, details?: object}} error
+ */
+function serializeError(error) {
+  return toPlain({
+    message: error?.message || String(error),
+    code: error?.code ?? undefined,
+    status: error?.status,
+    details: error?.details,
+  });
+}
+
+/**
+ * Job có thể chạy ở thời điểm now không (đến hạn hoặc lease đã hết)
+ * @param {object} job
+ * @param {number} now
+ * @param {boolean} recoverStale
+ * @param {Set<string>} [exclude] - id job đang chạy trong instance này
+ */
+function isClaimable(job, now, recoverStale, exclude) {
+  if (exclude?.has(job.id)) return false;
+  if (job.status === 'queued') return job.runAt <= now;
+  return recoverStale && job.status === 'running' && (job.lockedUntil || 0) <= now;
+}
+
+// =======================
+// Memory backend
+// =======================
+
+/**
+ * Job store trong bộ nhớ (1 instance, reset khi restart)
+ */
+function createMemoryJobStore() {
+  const jobs = new Map(); // id -> job
+  const deadLetters = new Map(); // id -> job
+
+  return {
+    driver: 'memory',
+    deadLetters,
+
+    async insert(job) {
+      const existing = jobs.get(job.id);
+      if (existing && existing.status !== 'queued') return { inserted: false, job: toPlain(existing) };
+      jobs.set(job.id, toPlain(job));
+      return { inserted: true, job };
+    },
+
+    async get(id) {
+      const job = jobs.get(id);
+      return job ? toPlain(job) : null;
+    },
+
+    async claim({ now, limit, leaseMs, recoverStale, exclude }) {
+      const due = Array.from(jobs.values())
+        .filter((job) => isClaimable(job, now, recoverStale, exclude))
+        .sort((a, b) => a.runAt - b.runAt)
+        .slice(0, limit);
+      due.forEach((job) => {
+        Object.assign(job, {
+          status: 'running',
+          attempts: job.attempts + 1,
+          runId: crypto.randomUUID(),
+          lockedUntil: now + leaseMs,
+          updatedAt: now,
+        });
+      });
+      return due.map(toPlain);
+    },
+
+    async listScheduled({ createdByUid, limit, cursor }) {
+      const pending = Array.from(jobs.values())
+        .filter((job) => job.scheduled && job.status === 'queued')
+        .filter((job) => !createdByUid || job.createdBy?.uid === createdByUid)
+        .sort((a, b) => a.runAt - b.runAt || a.id.localeCompare(b.id));
+      const start = cursor ? pending.findIndex((job) => job.id === cursor) + 1 : 0;
+      return pending.slice(start, start + limit).map(toPlain);
+    },
+
+    async cancel(id, fields) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      if (job.status !== 'queued') return { cancelled: false, job: toPlain(job) };
+      Object.assign(job, toPlain(fields));
+      return { cancelled: true, job: toPlain(job) };
+    },
+
+    async saveStep(id, name, value) {
+      const job = jobs.get(id);
+      if (job) job.steps[name] = toPlain(value);
+    },
+
+    async update(id, fields, { runId } = {}) {
+      const job = jobs.get(id);
+      if (!job || (runId && job.runId !== runId)) return false;
+      Object.assign(job, toPlain(fields));
+      return true;
+    },
+
+    async deadLetter(id, fields, { runId } = {}) {
+      const job = jobs.get(id);
+      if (!job || (runId && job.runId !== runId)) return false;
+      Object.assign(job, toPlain(fields));
+      deadLetters.set(id, toPlain(job));
+      return true;
+    },
+  };
+}
+
+// =======================
+// Firestore backend
+// =======================
+
+/**
+ * Job store trên Firestore.
+ * - Claim bằng transaction → nhiều instance poll cùng lúc không chạy trùng job
+ * - `expiresAt` (job đã xong) là Timestamp → bật TTL policy để Firestore tự xoá
+ *
+ * Index cần có: (status, runAt), (status, lockedUntil),
+ * (scheduled, status, runAt), (scheduled, status, createdBy.uid, runAt)
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {object} [options]
+ * @param {string} [options.collection='notification_jobs']
+ * @param {string} [options.deadLetterCollection='notification_dead_letters']
+ */
+function createFirestoreJobStore(db, { collection = 'notification_jobs', deadLetterCollection = 'notification_dead_letters' } = {}) {
+  const { Timestamp, FieldPath } = require('firebase-admin').firestore;
+  const jobs = db.collection(collection);
+
+  const toDoc = (fields) => {
+    const data = toPlain(fields);
+    TIME_FIELDS.filter((key) => typeof data[key] === 'number').forEach((key) => {
+      data[key] = Timestamp.fromMillis(data[key]);
+    });
+    return data;
+  };
+
+  const fromDoc = (id, data) => {
+    const job = { ...data, id };
+    TIME_FIELDS.forEach((key) => {
+      job[key] = data[key]?.toMillis?.() ?? null;
+    });
+    return job;
+  };
+
+  return {
+    driver: 'firestore',
+
+    async insert(job) {
+      const { id, ...fields } = job;
+      const ref = jobs.doc(id);
+      return db.runTransaction(async (tx) => {
+        const doc = await tx.get(ref);
+        if (doc.exists && doc.data().status !== 'queued') return { inserted: false, job: fromDoc(doc.id, doc.data()) };
+        tx.set(ref, toDoc(fields));
+        return { inserted: true, job };
+      });
+    },
+
+    async get(id) {
+      const doc = await jobs.doc(id).get();
+      return doc.exists ? fromDoc(doc.id, doc.data()) : null;
+    },
+
+    async claim({ now, limit, leaseMs, recoverStale, exclude = new Set() }) {
+      const nowTs = Timestamp.fromMillis(now);
+      const queries = [jobs.where('status', '==', 'queued').where('runAt', '<=', nowTs).orderBy('runAt').limit(limit)];
+      if (recoverStale) {
+        // Lấy dư exclude.size document: job đang chạy ở instance này bị bỏ qua bên dưới
+        queries.push(
+          jobs.where('status', '==', 'running').where('lockedUntil', '<=', nowTs).orderBy('lockedUntil').limit(limit + exclude.size)
+        );
+      }
+      const snapshots = await Promise.all(queries.map((query) => query.get()));
+      const candidates = snapshots
+        .flatMap((snapshot) => snapshot.docs)
+        .filter((doc) => !exclude.has(doc.id))
+        .slice(0, limit);
+
+      const claimed = [];
+      for (const candidate of candidates) {
+        // Instance khác có thể đã lấy job này giữa lúc query và lúc claim
+        const job = await db.runTransaction(async (tx) => {
+          const doc = await tx.get(candidate.ref);
+          if (!doc.exists) return null;
+          const current = fromDoc(doc.id, doc.data());
+          if (!isClaimable(current, now, recoverStale, exclude)) return null;
+
+          const fields = {
+            status: 'running',
+            attempts: current.attempts + 1,
+            runId: crypto.randomUUID(),
+            lockedUntil: now + leaseMs,
+            updatedAt: now,
+          };
+          tx.update(candidate.ref, toDoc(fields));
+          return { ...current, ...fields };
+        });
+        if (job) claimed.push(job);
+      }
+      return claimed;
+    },
+
+    async listScheduled({ createdByUid, limit, cursor }) {
+      let query = jobs.where('scheduled', '==', true).where('status', '==', 'queued');
+      if (createdByUid) query = query.where('createdBy.uid', '==', createdByUid);
+      query = query.orderBy('runAt').orderBy(FieldPath.documentId()).limit(limit);
+      if (cursor) {
+        const cursorDoc = await jobs.doc(cursor).get();
+        if (cursorDoc.exists) query = query.startAfter(cursorDoc);
+      }
+      const snapshot = await query.get();
+      return snapshot.docs.map((doc) => fromDoc(doc.id, doc.data()));
+    },
+
+    async cancel(id, fields) {
+      const ref = jobs.doc(id);
+      return db.runTransaction(async (tx) => {
+        const doc = await tx.get(ref);
+        if (!doc.exists) return null;
+        const job = fromDoc(doc.id, doc.data());
+        if (job.status !== 'queued') return { cancelled: false, job };
+        tx.update(ref, toDoc(fields));
+        return { cancelled: true, job: { ...job, ...toPlain(fields) } };
+      });
+    },
+
+    async saveStep(id, name, value) {
+      await jobs.doc(id).update(new FieldPath('steps', name), toPlain(value));
+    },
+
+    async update(id, fields, { runId } = {}) {
+      const ref = jobs.doc(id);
+      if (!runId) {
+        await ref.update(toDoc(fields));
+        return true;
+      }
+      return db.runTransaction(async (tx) => {
+        const doc = await tx.get(ref);
+        if (!doc.exists || doc.data().runId !== runId) return false;
+        tx.update(ref, toDoc(fields));
+        return true;
+      });
+    },
+
+    async deadLetter(id, fields, { runId } = {}) {
+      const ref = jobs.doc(id);
+      return db.runTransaction(async (tx) => {
+        const doc = await tx.get(ref);
+        if (!doc.exists || (runId && doc.data().runId !== runId)) return false;
+        const data = toDoc(fields);
+        tx.set(db.collection(deadLetterCollection).doc(id), { ...doc.data(), ...data });
+        tx.update(ref, data);
+        return true;
+      });
+    },
+  };
+}
+
+/**
+ * Tạo job store theo cấu hình
+ * @param {object} options
+ * @param {'firestore'|'memory'} [options.driver='firestore']
+ * @param {FirebaseFirestore.Firestore} [options.db] - Bắt buộc với driver firestore
+ */
+function createJobStore({ driver = 'firestore', db } = {}) {
+  switch (driver) {
+    case 'memory':
+      return createMemoryJobStore();
+    case 'firestore':
+      if (!db) {
+        throw new Error('Firestore job store requires a Firestore instance');
+      }
+      return createFirestoreJobStore(db);
+    default:
+      throw new Error(`Unknown job store driver: ${driver}`);
+  }
+}
+
+// =======================
+// Queue
+// =======================
+
+/**
+ * @param {object} options
+ * @param {ReturnType<typeof createJobStore>} options.store
+ * @param {Object<string, (payload: object, job: object) => Promise<object>>} options.handlers - Handler theo loại job
+ * @param {(error: Error) => boolean} [options.isRetryable] - Lỗi tạm thời (ngoài error.retryable = true)
+ * @param {number} [options.maxAttempts=5]
+ * @param {number} [options.baseDelayMs=2000] - Backoff lần thử lại đầu tiên
+ * @param {number} [options.maxDelayMs=300000]
+ * @param {number} [options.concurrency=5] - Số job chạy cùng lúc trong 1 instance
+ * @param {number} [options.pollIntervalMs=30000] - Poll job đến hạn / job bị treo (job mới chạy ngay, không chờ poll)
+ * @param {number} [options.leaseMs=300000] - Job không được gia hạn lease trong thời gian này coi như instance đã chết
+ * @param {number} [options.retentionMs=7 ngày] - Giữ job đã xong bao lâu (expiresAt)
+ */
+function createJobQueue({
+  store,
+  handlers,
+  isRetryable = () => false,
+  maxAttempts = 5,
+  baseDelayMs = 2000,
+  maxDelayMs = 5 * 60 * 1000,
+  concurrency = 5,
+  pollIntervalMs = 30 * 1000,
+  leaseMs = 5 * 60 * 1000,
+  retentionMs = 7 * DAY_MS,
+}) {
+  let active = 0;
+  const activeIds = new Set(); // Job đang chạy trong instance này → không claim lại
+  let ticking = false;
+  let tickAgain = false;
+  let backlog = false;
+  let pollTimer = null;
+
+  /**
+   * Exponential backoff + equal jitter: [d/2, d] với d = base * 2^(attempts - 1), tối đa maxDelayMs
+   * @param {number} attempts - Số lần đã chạy
+   */
+  function getBackoffMs(attempts) {
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+  }
+
+  function schedule(delayMs = 0, options) {
+    // Job còn xa (vd hẹn giờ ngày mai) do vòng poll lấy; setTimeout cũng không nhận quá ~24.8 ngày
+    if (delayMs > pollIntervalMs) return;
+    const dueAt = Date.now() + delayMs;
+    const timer = setTimeout(() => {
+      // Timer có thể chạy sớm hơn Date.now() ~1ms → job chưa đến hạn, không claim được và phải chờ vòng poll
+      const remainingMs = dueAt - Date.now();
+      if (remainingMs > 0) return schedule(remainingMs, options);
+      tick(options).catch((error) => console.error('❌ Job queue tick failed:', error.message));
+    }, delayMs);
+    timer.unref?.();
+  }
+
+  /**
+   * Ghi kết quả của 1 lần chạy; job đã bị lần chạy khác lấy lại (lease hết) → bỏ kết quả
+   * @param {object} job
+   * @param {boolean} written - Kết quả store.update / store.deadLetter với runId
+   */
+  function warnIfTakenOver(job, written) {
+    if (!written) console.warn(`⚠️ Job ${job.id} (${job.type}) was taken over by another run, result discarded`);
+  }
+
+  async function finish(job, fields) {
+    const now = Date.now();
+    const written = await store.update(job.id, {
+      ...fields,
+      progress: null,
+      lockedUntil: null,
+      updatedAt: now,
+      completedAt: now,
+      expiresAt: now + retentionMs,
+    }, { runId: job.runId });
+    warnIfTakenOver(job, written);
+  }
+
+  /**
+   * Gia hạn lease của job đang chạy mỗi leaseMs / 3
+   * @param {object} job
+   * @returns {() => Promise<void>} Dừng gia hạn (chờ lần ghi đang dở xong)
+   */
+  function startHeartbeat(job) {
+    let pending = Promise.resolve();
+    const timer = setInterval(() => {
+      pending = store.update(job.id, { lockedUntil: Date.now() + leaseMs }, { runId: job.runId }).catch((error) => {
+        console.warn(`⚠️ Job ${job.id} lease not extended:`, error.message);
+      });
+    }, Math.max(Math.floor(leaseMs / 3), 1));
+    timer.unref?.();
+    return async () => {
+      clearInterval(timer);
+      await pending;
+    };
+  }
+
+  async function run(job) {
+    let lastProgressAt = 0;
+    const context = {
+      id: job.id,
+      type: job.type,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      createdBy: job.createdBy,
+      async step(name, fn) {
+        if (Object.prototype.hasOwnProperty.call(job.steps, name)) return job.steps[name];
+        const value = toPlain(await fn());
+        await store.saveStep(job.id, name, value);
+        job.steps[name] = value;
+        return value;
+      },
+      // Arrow function → truyền thẳng làm callback được (vd onProgress: job.progress)
+      progress: async (value) => {
+        const now = Date.now();
+        if (now - lastProgressAt < PROGRESS_INTERVAL_MS) return;
+        lastProgressAt = now;
+        try {
+          await store.update(
+            job.id,
+            { progress: toPlain(value), lockedUntil: now + leaseMs, updatedAt: now },
+            { runId: job.runId }
+          );
+        } catch (error) {
+          console.warn(`⚠️ Job ${job.id} progress not saved:`, error.message);
+        }
+      },
+    };
+
+    try {
+      if (!handlers[job.type]) {
+        throw new JobFailedError(`Unknown job type: ${job.type}`);
+      }
+      if (job.attempts > job.maxAttempts) {
+        throw new JobFailedError('Job lease expired too many times');
+      }
+      const stopHeartbeat = startHeartbeat(job);
+      let result;
+      try {
+        result = await handlers[job.type](job.payload, context);
+      } finally {
+        await stopHeartbeat();
+      }
+      await finish(job, { status: 'succeeded', result: toStoredResult(result), error: null });
+    } catch (error) {
+      const retryable = !(error instanceof JobFailedError) && (error?.retryable === true || isRetryable(error));
+
+      if (retryable && job.attempts < job.maxAttempts) {
+        const delayMs = getBackoffMs(job.attempts);
+        console.warn(`🔁 Job ${job.id} (${job.type}) attempt ${job.attempts}/${job.maxAttempts} failed, retry in ${delayMs}ms:`, error.message);
+        const written = await store.update(job.id, {
+          status: 'queued',
+          runAt: Date.now() + delayMs,
+          progress: null,
+          lockedUntil: null,
+          error: serializeError(error),
+          updatedAt: Date.now(),
+        }, { runId: job.runId });
+        warnIfTakenOver(job, written);
+        if (written) schedule(delayMs);
+      } else {
+        console.error(`💀 Job ${job.id} (${job.type}) moved to dead letter after ${job.attempts} attempt(s):`, error.message);
+        const now = Date.now();
+        const written = await store.deadLetter(job.id, {
+          status: 'dead',
+          error: serializeError(error),
+          progress: null,
+          lockedUntil: null,
+          updatedAt: now,
+          completedAt: now,
+          expiresAt: now + retentionMs,
+        }, { runId: job.runId });
+        warnIfTakenOver(job, written);
+      }
+    }
+  }
+
+  /**
+   * Lấy các job đến hạn và chạy (tối đa `concurrency` job cùng lúc)
+   * @param {object} [options]
+   * @param {boolean} [options.recoverStale=false] - Lấy lại cả job `running` đã hết lease
+   */
+  async function tick({ recoverStale = false } = {}) {
+    if (ticking) {
+      tickAgain = true;
+      return;
+    }
+    ticking = true;
+    try {
+      const slots = concurrency - active;
+      if (slots <= 0) {
+        backlog = true;
+        return;
+      }
+      const jobs = await store.claim({ now: Date.now(), limit: slots, leaseMs, recoverStale, exclude: activeIds });
+      backlog = jobs.length === slots;
+      jobs.forEach((job) => {
+        active += 1;
+        activeIds.add(job.id);
+        run(job)
+          .catch((error) => console.error(`❌ Job ${job.id} could not be updated:`, error.message))
+          .finally(() => {
+            active -= 1;
+            activeIds.delete(job.id);
+            if (backlog) schedule();
+          });
+      });
+    } finally {
+      ticking = false;
+      if (tickAgain) {
+        tickAgain = false;
+        schedule();
+      }
+    }
+  }
+
+  return {
+    driver: store.driver,
+    getBackoffMs,
+    tick,
+
+    /**
+     * Thêm job, chạy ngay khi còn slot
+     * @param {string} type - Loại job (key trong handlers)
+     * @param {object} payload
+     * @param {object} [options]
+     * @param {object} [options.createdBy] - Ai tạo job (dùng để kiểm tra quyền khi poll)
+     * @param {number} [options.runAt] - Thời điểm chạy (ms), mặc định ngay; trong tương lai = job hẹn giờ
+     * @param {boolean} [options.scheduled] - false: job chạy trễ nội bộ (vd flush debounce), không có trong
+     *   listScheduled; mặc định true khi runAt trong tương lai
+     * @param {string} [options.id] - id cho job (vd đã giữ chỗ trong idempotency store), mặc định UUID mới.
+     *   Đã có job `queued` cùng id → thay bằng job mới; job cùng id đang chạy / đã xong → giữ nguyên và trả về job đó
+     * @returns {Promise<object>} Job vừa tạo (hoặc job đã có)
+     */
+    async enqueue(type, payload, { createdBy = null, runAt, scheduled: listed = true, id = crypto.randomUUID() } = {}) {
+      if (!handlers[type]) {
+        throw new Error(`Unknown job type: ${type}`);
+      }
+      const now = Date.now();
+      const delayed = runAt > now;
+      const scheduled = delayed && listed;
+      const job = {
+        id,
+        type,
+        payload: toPlain(payload),
+        status: 'queued',
+        attempts: 0,
+        maxAttempts,
+        runAt: delayed ? runAt : now,
+        scheduled,
+        sendAt: scheduled ? runAt : null,
+        lockedUntil: null,
+        steps: {},
+        progress: null,
+        result: null,
+        error: null,
+        createdBy,
+        createdAt: now,
+        updatedAt: now,
+        completedAt: null,
+      };
+      const { inserted, job: existing } = await store.insert(job);
+      if (!inserted) return existing;
+      schedule(job.runAt - now);
+      return job;
+    },
+
+    /**
+     * Job hẹn giờ chưa chạy, sớm nhất trước
+     * @param {object} [options]
+     * @param {string} [options.createdByUid] - Chỉ job của user này
+     * @param {number} [options.limit=20]
+     * @param {string} [options.cursor] - id job cuối của trang trước
+     * @returns {Promise<object[]>}
+     */
+    async listScheduled({ createdByUid, limit = 20, cursor } = {}) {
+      return store.listScheduled({ createdByUid, limit, cursor });
+    },
+
+    /**
+     * Huỷ job chưa chạy (queued)
+     * @param {string} id
+     * @returns {Promise<{cancelled: boolean, job: object}|null>} null khi không có job; cancelled false khi job đã / đang chạy
+     */
+    async cancel(id) {
+      const now = Date.now();
+      return store.cancel(id, {
+        status: 'cancelled',
+        updatedAt: now,
+        completedAt: now,
+        expiresAt: now + retentionMs,
+      });
+    },
+
+    /**
+     * @param {string} id
+     * @returns {Promise<object|null>}
+     */
+    async get(id) {
+      return store.get(id);
+    },
+
+    /** Bắt đầu poll định kỳ (job đến hạn thử lại, job bị treo do instance chết) */
+    start() {
+      if (pollTimer) return;
+      schedule(0, { recoverStale: true });
+      pollTimer = setInterval(() => {
+        tick({ recoverStale: true }).catch((error) => console.error('❌ Job queue poll failed:', error.message));
+      }, pollIntervalMs);
+      pollTimer.unref?.();
+    },
+
+    stop() {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    },
+  };
+}
+
+module.exports = {
+  JOB_STATUSES,
+  JobFailedError,
+  createJobStore,
+  createJobQueue,
+};
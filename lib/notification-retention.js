@@ -0,0 +1,378 @@
+/**
+ * Notification Retention
+ * Dọn collection `notifications` theo policy:
+ * - age:         notification đã đọc quá `readDays` ngày (theo loại, `byType`) / chưa đọc quá `unreadDays` ngày
+ *                → xoá hoặc lưu trữ (`action`)
+ * - cap:         mỗi user chỉ giữ `maxPerUser` notification mới nhất (phần còn lại bị xoá)
+ * - deletedUser: notification của user không còn trong `users` (bị xoá)
+ *
+ * Mọi thao tác ghi đi theo batch (tối đa 500 / batch). `dryRun` chỉ đếm, không ghi.
+ * Không quét cả collection: bước theo user đi qua từng recipientId bằng range query trên index
+ * (1 lần đọc / user), đếm bằng count() và chỉ đọc phần vượt maxPerUser.
+ * Nhiều instance: lần chạy thật giữ lease trong `maintenance_locks/notification_retention` → chỉ 1 instance chạy.
+ *
+ * `stats.scanned` chỉ đếm document thực sự bị xoá / lưu trữ (document bỏ qua không tính).
+ *
+ * Index cần có: (type, read, createdAt), (type, createdAt), (recipientId, createdAt DESC);
+ * action 'archive' thêm (type, read, archived, createdAt), (type, archived, createdAt)
+ */
+
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 500;
+// Số recipientId kiểm tra tồn tại trong 1 lượt getAll
+const USER_LOOKUP_SIZE = 100;
+const LEASE_MS = 30 * 60 * 1000;
+const RETENTION_ACTIONS = ['delete', 'archive'];
+
+/**
+ * Đọc policy từ env
+ * - NOTIFICATION_RETENTION_DAYS: notification đã đọc (mặc định 90)
+ * - NOTIFICATION_RETENTION_UNREAD_DAYS: notification chưa đọc (mặc định 180)
+ * - NOTIFICATION_RETENTION_BY_TYPE: JSON ghi đè số ngày theo loại, vd {"post_reaction":30}
+ * - NOTIFICATION_RETENTION_ACTION: delete (mặc định) | archive
+ * - NOTIFICATION_MAX_PER_USER: số notification tối đa / user (mặc định 500, 0 = không giới hạn)
+ * @param {NodeJS.ProcessEnv} env
+ */
+function parseRetentionPolicy(env = process.env) {
+  const readDays = parseInt(env.NOTIFICATION_RETENTION_DAYS, 10) || 90;
+  const unreadDays = parseInt(env.NOTIFICATION_RETENTION_UNREAD_DAYS, 10) || 180;
+  const maxPerUser = env.NOTIFICATION_MAX_PER_USER === undefined
+    ? 500
+    : parseInt(env.NOTIFICATION_MAX_PER_USER, 10) || 0;
+  const action = env.NOTIFICATION_RETENTION_ACTION || 'delete';
+
+  if (!RETENTION_ACTIONS.includes(action)) {
+    throw new Error(`Invalid NOTIFICATION_RETENTION_ACTION: ${action} (allowed: ${RETENTION_ACTIONS.join(', ')})`);
+  }
+
+  let byType = {};
+  if (env.NOTIFICATION_RETENTION_BY_TYPE) {
+    try {
+      byType = JSON.parse(env.NOTIFICATION_RETENTION_BY_TYPE);
+    } catch (error) {
+      throw new Error(`Invalid NOTIFICATION_RETENTION_BY_TYPE: ${error.message}`);
+    }
+    Object.entries(byType).forEach(([type, days]) => {
+      if (!Number.isInteger(days) || days < 1) {
+        throw new Error(`Invalid retention for ${type}: must be a positive number of days`);
+      }
+    });
+  }
+
+  return { readDays, unreadDays, byType, action, maxPerUser };
+}
+
+/**
+ * Gom thao tác ghi thành batch, commit khi đủ BATCH_SIZE
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {boolean} dryRun
+ */
+function createBatchWriter(db, dryRun) {
+  let batch = db.batch();
+  let size = 0;
+  let committed = 0;
+
+  async function commit() {
+    if (size === 0) return;
+    if (!dryRun) await batch.commit();
+    committed += size;
+    batch = db.batch();
+    size = 0;
+  }
+
+  return {
+    async delete(ref) {
+      batch.delete(ref);
+      size += 1;
+      if (size >= BATCH_SIZE) await commit();
+    },
+    async update(ref, data) {
+      batch.update(ref, data);
+      size += 1;
+      if (size >= BATCH_SIZE) await commit();
+    },
+    async flush() {
+      await commit();
+      return committed;
+    },
+  };
+}
+
+/**
+ * Lỗi khi đã có lần dọn dẹp khác đang chạy (trong process này hoặc instance khác)
+ * @param {string} message
+ */
+function runningError(message) {
+  const error = new Error(message);
+  error.code = 'RETENTION_RUNNING';
+  return error;
+}
+
+/**
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {object} options
+ * @param {string[]} options.types - Các loại notification
+ * @param {ReturnType<typeof parseRetentionPolicy>} options.policy
+ * @param {string} [options.collection='notifications']
+ * @param {string} [options.lockCollection='maintenance_locks']
+ */
+function createNotificationRetention(db, { types, policy, collection = 'notifications', lockCollection = 'maintenance_locks' }) {
+  const { Timestamp, FieldValue } = require('firebase-admin').firestore;
+  const notifications = db.collection(collection);
+  const lockRef = db.collection(lockCollection).doc('notification_retention');
+  let running = null;
+
+  /**
+   * Lấy / gia hạn lease (transaction): instance khác đang giữ lease còn hạn → RETENTION_RUNNING
+   * @param {string} owner
+   */
+  async function acquireLease(owner) {
+    await db.runTransaction(async (tx) => {
+      const now = Date.now();
+      const doc = await tx.get(lockRef);
+      const lease = doc.exists ? doc.data() : null;
+      if (lease && lease.owner !== owner && lease.expiresAt.toMillis() > now) {
+        throw runningError('Retention job is already running on another instance');
+      }
+      tx.set(lockRef, { owner, expiresAt: Timestamp.fromMillis(now + LEASE_MS) });
+    });
+  }
+
+  /**
+   * Trả lease (chỉ khi vẫn là của mình)
+   * @param {string} owner
+   */
+  async function releaseLease(owner) {
+    await db.runTransaction(async (tx) => {
+      const doc = await tx.get(lockRef);
+      if (doc.exists && doc.data().owner === owner) tx.delete(lockRef);
+    });
+  }
+
+  /**
+   * Đọc lần lượt từng trang của query (cursor), gọi handler cho mỗi document
+   * @param {FirebaseFirestore.Query} query
+   * @param {(doc: FirebaseFirestore.QueryDocumentSnapshot) => Promise<void>} handler
+   */
+  async function forEachDoc(query, handler) {
+    let last = null;
+    for (;;) {
+      // offset (nếu có) chỉ áp dụng cho trang đầu, các trang sau đi theo cursor
+      let page = query.limit(BATCH_SIZE);
+      if (last) page = page.offset(0).startAfter(last);
+      const snapshot = await page.get();
+      for (const doc of snapshot.docs) {
+        await handler(doc);
+      }
+      if (snapshot.size < BATCH_SIZE) return;
+      last = snapshot.docs[snapshot.size - 1];
+    }
+  }
+
+  /**
+   * Notification quá hạn theo loại → xoá / lưu trữ
+   * @param {() => Promise<void>} [heartbeat] - Gọi sau mỗi loại (gia hạn lease)
+   */
+  async function purgeByAge(writer, stats, now, heartbeat = async () => {}) {
+    const handled = new Set();
+    const expire = async (doc) => {
+      if (handled.has(doc.id)) return;
+      handled.add(doc.id);
+      stats.scanned += 1;
+      if (policy.action === 'archive') {
+        await writer.update(doc.ref, { archived: true, read: true, readAt: doc.data().readAt || FieldValue.serverTimestamp() });
+        stats.archived += 1;
+      } else {
+        await writer.delete(doc.ref);
+        stats.deleted += 1;
+      }
+      stats.byReason.age += 1;
+    };
+
+    // Lưu trữ: bỏ document đã lưu trữ ở lần chạy trước ngay trong query, nếu không mỗi lần chạy lại đọc lại
+    // toàn bộ chúng. Document v1 chưa có field `archived` không khớp → chạy migrate:notifications trước
+    const olderThan = (query, days) => (policy.action === 'archive' ? query.where('archived', '==', false) : query)
+      .where('createdAt', '<', Timestamp.fromMillis(now - days * DAY_MS))
+      .orderBy('createdAt');
+
+    for (const type of types) {
+      const readDays = policy.byType[type] || policy.readDays;
+      const unreadDays = Math.max(policy.unreadDays, readDays);
+
+      await forEachDoc(olderThan(notifications.where('type', '==', type).where('read', '==', true), readDays), expire);
+      await forEachDoc(olderThan(notifications.where('type', '==', type), unreadDays), expire);
+      await heartbeat();
+    }
+
+    return handled;
+  }
+
+  /**
+   * recipientId kế tiếp sau `after` (theo thứ tự), mỗi id 1 lần đọc trên index thay vì đọc mọi notification
+   * @param {string|null} after
+   * @param {number} limit
+   * @returns {Promise<string[]>}
+   */
+  async function nextRecipientIds(after, limit) {
+    const ids = [];
+    let last = after;
+    while (ids.length < limit) {
+      const snapshot = await notifications
+        .where('recipientId', last === null ? '>=' : '>', last === null ? '' : last)
+        .orderBy('recipientId')
+        .select('recipientId')
+        .limit(1)
+        .get();
+      if (snapshot.empty) break;
+      last = snapshot.docs[0].data().recipientId;
+      ids.push(last);
+    }
+    return ids;
+  }
+
+  /**
+   * Xoá các document của query (theo trang, cursor), bỏ qua document đã xử lý ở bước age
+   * @returns {Promise<number>} Số document bị xoá
+   */
+  async function deleteAll(query, writer, stats, alreadyHandled) {
+    let deleted = 0;
+    await forEachDoc(query, async (doc) => {
+      if (alreadyHandled.has(doc.id)) return;
+      stats.scanned += 1;
+      await writer.delete(doc.ref);
+      deleted += 1;
+    });
+    return deleted;
+  }
+
+  /**
+   * Theo user: xoá notification của user đã bị xoá, giữ maxPerUser notification mới nhất
+   * @param {() => Promise<void>} [heartbeat] - Gọi sau mỗi nhóm user (gia hạn lease)
+   */
+  async function purgeByUser(writer, stats, alreadyHandled, heartbeat = async () => {}) {
+    let after = null;
+    for (;;) {
+      const recipientIds = await nextRecipientIds(after, USER_LOOKUP_SIZE);
+      if (recipientIds.length === 0) return;
+      after = recipientIds[recipientIds.length - 1];
+
+      // '' không phải document id hợp lệ → coi như user không tồn tại
+      const lookupIds = recipientIds.filter(Boolean);
+      const userDocs = lookupIds.length > 0
+        ? await db.getAll(...lookupIds.map((uid) => db.collection('users').doc(uid)))
+        : [];
+      const existing = new Set(userDocs.filter((doc) => doc.exists).map((doc) => doc.id));
+
+      for (const recipientId of recipientIds) {
+        const own = notifications.where('recipientId', '==', recipientId);
+
+        if (!existing.has(recipientId)) {
+          const deleted = await deleteAll(own, writer, stats, alreadyHandled);
+          stats.deleted += deleted;
+          stats.byReason.deletedUser += deleted;
+          continue;
+        }
+
+        if (policy.maxPerUser <= 0) continue;
+        const total = (await own.count().get()).data().count;
+        if (total <= policy.maxPerUser) continue;
+
+        // Chỉ đọc phần cũ hơn maxPerUser notification mới nhất
+        const deleted = await deleteAll(
+          own.orderBy('createdAt', 'desc').offset(policy.maxPerUser),
+          writer,
+          stats,
+          alreadyHandled
+        );
+        stats.deleted += deleted;
+        stats.byReason.cap += deleted;
+      }
+
+      await heartbeat();
+    }
+  }
+
+  /**
+   * Chạy 1 lần dọn dẹp
+   * @param {object} [options]
+   * @param {boolean} [options.dryRun=false]
+   * @returns {Promise<{dryRun: boolean, scanned: number, deleted: number, archived: number, byReason: object, durationMs: number}>}
+   */
+  async function execute({ dryRun = false } = {}) {
+    // Chạy thử chỉ đọc → không cần lease
+    const owner = crypto.randomUUID();
+    let leaseRenewedAt = 0;
+    const heartbeat = async () => {
+      if (dryRun || Date.now() - leaseRenewedAt < LEASE_MS / 3) return;
+      await acquireLease(owner);
+      leaseRenewedAt = Date.now();
+    };
+
+    await heartbeat();
+    try {
+      return await purge({ dryRun, heartbeat });
+    } finally {
+      if (!dryRun) {
+        await releaseLease(owner).catch((error) => {
+          console.warn('⚠️ Retention lease not released:', error.message);
+        });
+      }
+    }
+  }
+
+  /**
+   * Các bước dọn dẹp (lần chạy thật: đã giữ lease)
+   */
+  async function purge({ dryRun, heartbeat }) {
+    const startedAt = Date.now();
+    const writer = createBatchWriter(db, dryRun);
+    const stats = {
+      dryRun,
+      scanned: 0,
+      deleted: 0,
+      archived: 0,
+      byReason: { age: 0, cap: 0, deletedUser: 0 },
+    };
+
+    const handled = await purgeByAge(writer, stats, startedAt, heartbeat);
+    // Document đã xoá ở bước trên vẫn có thể còn trong kết quả quét khi dryRun → bỏ qua
+    await purgeByUser(writer, stats, policy.action === 'delete' ? handled : new Set(), heartbeat);
+    await writer.flush();
+
+    return { ...stats, durationMs: Date.now() - startedAt };
+  }
+
+  return {
+    policy,
+
+    /** Đang chạy hay không (chỉ trong process này; instance khác xem lease) */
+    get running() {
+      return Boolean(running);
+    },
+
+    /**
+     * Chạy dọn dẹp; nếu đang chạy (ở process này hoặc instance khác đang giữ lease) thì throw lỗi code RETENTION_RUNNING
+     * @param {object} [options]
+     * @param {boolean} [options.dryRun=false]
+     */
+    async run(options) {
+      if (running) {
+        throw runningError('Retention job is already running');
+      }
+      running = execute(options);
+      try {
+        return await running;
+      } finally {
+        running = null;
+      }
+    },
+  };
+}
+
+module.exports = {
+  parseRetentionPolicy,
+  createNotificationRetention,
+  RETENTION_ACTIONS,
+};
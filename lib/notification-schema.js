@@ -0,0 +1,280 @@
+/**
+ * Notification Schema (v2)
+ * Một schema chung cho mọi document trong `notifications`:
+ *
+ * {
+ *   schemaVersion: 2,
+ *   recipientId: string,
+ *   type: NOTIFICATION_TYPES,
+ *   title: string,
+ *   body: string,
+ *   locale: string,
+ *   actor: { id: string | null, name: string | null },   // người gây ra thông báo (người gửi, người bình luận, ...)
+ *   target: { kind, id, postId? } | null,                 // đối tượng được nhắc tới (chat, bài viết, bình luận, ...)
+ *   aggregation: { key, count, actors? } | null,          // thông báo gộp (reaction, tin nhắn, ...)
+ *   data: { [key]: string | number | boolean },           // field riêng theo loại (reactionType, commentText, ...)
+ *   read, archived, createdAt, updatedAt, readAt?         // do nơi ghi thêm vào
+ * }
+ *
+ * createNotificationDocument validate khi ghi, migrateNotification chuyển document cũ (v1) sang v2.
+ */
+
+const NOTIFICATION_SCHEMA_VERSION = 2;
+
+const NOTIFICATION_TYPES = [
+  'new_message',
+  'friend_request',
+  'friend_accept',
+  'new_post',
+  'video_call',
+  'post_comment',
+  'post_reaction',
+  'post_share',
+  'comment_reply',
+  'comment_like',
+  'group_invite',
+  'mention',
+];
+
+const TARGET_KINDS = ['chat', 'call', 'post', 'comment', 'group'];
+
+// Tên loại cũ → tên chuẩn
+const LEGACY_TYPE_ALIASES = {
+  friend_request_accepted: 'friend_accept',
+};
+
+// Field người gây ra thông báo trong document cũ (theo thứ tự ưu tiên)
+const LEGACY_ACTOR_FIELDS = [
+  ['senderId', 'senderName'],
+  ['inviterId', 'inviterName'],
+  ['mentionerId', 'mentionerName'],
+  ['callerId', 'callerName'],
+];
+
+// Field gộp cũ đã được chuyển sang aggregation. Các field cũ khác (senderId, postId, screen, ...) vẫn giữ trong
+// `data` trong giai đoạn chuyển tiếp, giống document mới ghi (legacyData trong lib/notification-types.js)
+const LEGACY_AGGREGATION_FIELDS = new Set(['groupKey', 'actorCount', 'actors', 'messageCount']);
+
+class NotificationValidationError extends Error {
+  /**
+   * @param {string[]} errors
+   */
+  constructor(errors) {
+    super(`Invalid notification: ${errors.join('; ')}`);
+    this.name = 'NotificationValidationError';
+    this.code = 'INVALID_NOTIFICATION';
+    this.errors = errors;
+  }
+}
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.length > 0;
+const isNullableString = (value) => value === null || typeof value === 'string';
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Kiểm tra document theo schema v2 (không gồm các field do nơi ghi thêm: read, createdAt, ...)
+ * @param {object} notification
+ * @returns {string[]} Danh sách lỗi (rỗng = hợp lệ)
+ */
+function validateNotification(notification) {
+  const errors = [];
+  if (!isPlainObject(notification)) return ['notification must be an object'];
+
+  const { schemaVersion, recipientId, type, title, body, locale, actor, target, aggregation, data } = notification;
+
+  if (schemaVersion !== NOTIFICATION_SCHEMA_VERSION) errors.push(`schemaVersion must be ${NOTIFICATION_SCHEMA_VERSION}`);
+  if (!isNonEmptyString(recipientId)) errors.push('recipientId is required');
+  if (!NOTIFICATION_TYPES.includes(type)) errors.push(`type must be one of: ${NOTIFICATION_TYPES.join(', ')}`);
+  if (!isNonEmptyString(title)) errors.push('title is required');
+  if (typeof body !== 'string') errors.push('body must be a string');
+  if (!isNonEmptyString(locale)) errors.push('locale is required');
+
+  if (!isPlainObject(actor) || !isNullableString(actor.id) || !isNullableString(actor.name)) {
+    errors.push('actor must be { id: string | null, name: string | null }');
+  }
+
+  if (target !== null) {
+    if (!isPlainObject(target) || !TARGET_KINDS.includes(target.kind) || !isNonEmptyString(target.id)) {
+      errors.push(`target must be null or { kind: ${TARGET_KINDS.join(' | ')}, id: string }`);
+    } else if (target.postId !== undefined && !isNonEmptyString(target.postId)) {
+      errors.push('target.postId must be a string');
+    }
+  }
+
+  if (aggregation !== null) {
+    if (!isPlainObject(aggregation) || !isNonEmptyString(aggregation.key) || !Number.isInteger(aggregation.count) || aggregation.count < 1) {
+      errors.push('aggregation must be null or { key: string, count: integer >= 1, actors? }');
+    } else if (
+      aggregation.actors !== undefined &&
+      (!Array.isArray(aggregation.actors) ||
+        !aggregation.actors.every((a) => isPlainObject(a) && isNonEmptyString(a.id) && isNullableString(a.name)))
+    ) {
+      errors.push('aggregation.actors must be an array of { id, name }');
+    }
+  }
+
+  if (!isPlainObject(data)) {
+    errors.push('data must be an object');
+  } else {
+    Object.entries(data).forEach(([key, value]) => {
+      if (!['string', 'number', 'boolean'].includes(typeof value)) {
+        errors.push(`data.${key} must be a string, number or boolean`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Bỏ field undefined / null / '' (client cũ hay gửi chuỗi rỗng thay vì bỏ trống)
+ * @param {object} values
+ */
+function compact(values) {
+  return Object.fromEntries(
+    Object.entries(values || {}).filter(([_, value]) => value !== undefined && value !== null && value !== '')
+  );
+}
+
+/**
+ * Tạo document notification v2 đã validate (chưa có read / createdAt / updatedAt)
+ * @param {object} input
+ * @param {string} input.recipientId
+ * @param {string} input.type
+ * @param {string} input.title
+ * @param {string} input.body
+ * @param {string} input.locale
+ * @param {{id?: string, name?: string}} [input.actor]
+ * @param {{kind: string, id: string, postId?: string}|null} [input.target]
+ * @param {{key: string, count: number, actors?: Array<{id: string, name?: string}>}|null} [input.aggregation]
+ * @param {object} [input.data]
+ * @returns {object}
+ * @throws {NotificationValidationError}
+ */
+function createNotificationDocument({ recipientId, type, title, body, locale, actor, target = null, aggregation = null, data = {} }) {
+  const notification = {
+    schemaVersion: NOTIFICATION_SCHEMA_VERSION,
+    recipientId,
+    type,
+    title,
+    body,
+    locale,
+    actor: { id: actor?.id || null, name: actor?.name || null },
+    target: target ? { ...compact(target) } : null,
+    aggregation: aggregation
+      ? {
+        key: aggregation.key,
+        count: aggregation.count,
+        ...(aggregation.actors
+          ? { actors: aggregation.actors.map((a) => ({ id: a?.id, name: a?.name || null })) }
+          : {}),
+      }
+      : null,
+    data: compact(data),
+  };
+
+  const errors = validateNotification(notification);
+  if (errors.length > 0) {
+    throw new NotificationValidationError(errors);
+  }
+  return notification;
+}
+
+/**
+ * Đối tượng của thông báo suy ra từ các field id (postId, commentId, roomId, groupId)
+ * @param {string} type
+ * @param {object} fields
+ * @returns {{kind: string, id: string, postId?: string}|null}
+ */
+function getTarget(type, { roomId, postId, commentId, groupId } = {}) {
+  const target = (kind, id, extra = {}) => (id ? { kind, id, ...compact(extra) } : null);
+
+  switch (type) {
+    case 'new_message':
+      return target('chat', roomId);
+    case 'video_call':
+      return target('call', roomId);
+    case 'group_invite':
+      return target('group', groupId);
+    case 'comment_reply':
+    case 'comment_like':
+    case 'mention':
+      return target('comment', commentId, { postId }) || target('post', postId);
+    case 'new_post':
+    case 'post_comment':
+    case 'post_reaction':
+    case 'post_share':
+      return target('post', postId);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Chuyển document cũ (v1) sang v2. Document đã là v2 được trả về nguyên vẹn.
+ * - video_call cũ: senderId / senderName / roomId nằm ngoài `data`
+ * - group_invite: inviterId / inviterName, mention: mentionerId / mentionerName
+ * - thông báo gộp: data.groupKey / actorCount / actors / messageCount
+ * `data` giữ nguyên field cũ (trừ field gộp) để document đã chuyển có cùng dạng `data` với document mới cùng loại;
+ * field nằm ngoài `data` (video_call) chỉ dùng cho actor / target.
+ * @param {object} legacy - Dữ liệu document
+ * @param {object} [options]
+ * @param {string} [options.defaultLocale='vi']
+ * @returns {object} Document v2 (giữ read, archived, createdAt, updatedAt, readAt)
+ * @throws {NotificationValidationError}
+ */
+function migrateNotification(legacy, { defaultLocale = 'vi' } = {}) {
+  if (legacy?.schemaVersion === NOTIFICATION_SCHEMA_VERSION) return legacy;
+
+  const legacyData = compact(isPlainObject(legacy.data) ? legacy.data : {});
+  const source = compact({
+    ...legacyData,
+    ...compact(Object.fromEntries(['senderId', 'senderName', 'roomId'].map((key) => [key, legacy[key]]))),
+  });
+  const type = LEGACY_TYPE_ALIASES[legacy.type] || legacy.type;
+
+  const [idField, nameField] = LEGACY_ACTOR_FIELDS.find(([field]) => source[field]) || LEGACY_ACTOR_FIELDS[0];
+  const actor = { id: source[idField] || null, name: source[nameField] || null };
+
+  const count = source.actorCount || source.messageCount;
+  const aggregation = source.groupKey && Number.isInteger(count)
+    ? compact({ key: source.groupKey, count, actors: Array.isArray(source.actors) ? source.actors : undefined })
+    : null;
+
+  const data = Object.fromEntries(Object.entries(legacyData).filter(([key]) => !LEGACY_AGGREGATION_FIELDS.has(key)));
+
+  const notification = createNotificationDocument({
+    recipientId: legacy.recipientId,
+    type,
+    title: legacy.title,
+    body: legacy.body ?? '',
+    locale: legacy.locale || defaultLocale,
+    actor,
+    target: getTarget(type, source),
+    aggregation,
+    data,
+  });
+
+  return {
+    ...notification,
+    read: legacy.read === true,
+    archived: legacy.archived === true,
+    ...compact({
+      createdAt: legacy.createdAt,
+      updatedAt: legacy.updatedAt || legacy.createdAt,
+      readAt: legacy.readAt,
+    }),
+  };
+}
+
+module.exports = {
+  NOTIFICATION_SCHEMA_VERSION,
+  NOTIFICATION_TYPES,
+  TARGET_KINDS,
+  LEGACY_TYPE_ALIASES,
+  NotificationValidationError,
+  validateNotification,
+  createNotificationDocument,
+  getTarget,
+  migrateNotification,
+};
@@ -0,0 +1,354 @@
+/**
+ * Notification Type Registry
+ * Khai báo các route /api/notify/<route> dạng "1 người gửi → 1 người nhận". server.js dùng 1 dispatcher chung:
+ * kiểm tra field bắt buộc → bỏ qua khi tự thông báo cho mình → đọc thiết bị / preferences người nhận
+ * → dựng nội dung theo locale → lưu in-app (thường hoặc gộp) → push.
+ *
+ * Mỗi loại khai báo:
+ * - route:            đường dẫn sau /api/notify/
+ * - schema:           schema của body (lib/request-validation.js)
+ * - recipientField:   field chứa uid người nhận; recipientLabel dùng trong thông báo lỗi
+ * - actorField:       uid người gây ra thông báo (phải trùng user gọi khi dùng ID token), actorNameField: tên
+ * - selfMessage:      khác null → không thông báo khi người nhận là chính actor
+ * - text(body, locale): params cho formatNotification (templates/push/<locale>.json)
+ * - androidChannelId, screen: kênh Android và màn hình mở khi bấm push
+ * - pushType:         (tuỳ chọn) `data.type` của push khi khác type, giữ tên cũ mà app đã phát hành đang route theo
+ * - pushData(body):   field thêm vào `data` của push (ngoài type / screen)
+ * - target(body):     field id cho getTarget (lib/notification-schema.js)
+ * - data(body):       field riêng lưu kèm notification in-app
+ * - legacyData(body): field `data` mà bản cũ lưu (senderId / senderName, ...), vẫn lưu kèm trong giai đoạn chuyển tiếp
+ *                     để app cũ đọc được (actor / target là nguồn chuẩn)
+ * - aggregateBy:      gộp notification theo field này (xem saveAggregatedNotification), null = lưu riêng
+ *
+ * Thêm loại mới: thêm type vào NOTIFICATION_TYPES, chuỗi vào templates/push/*.json, rồi thêm 1 entry ở đây.
+ */
+
+const { NOTIFICATION_TYPES } = require('./notification-schema');
+const { t } = require('./i18n');
+const { NAME_MAX_LENGTH, TEXT_MAX_LENGTH } = require('./request-validation');
+
+const REACTION_EMOJIS = {
+  like: '👍',
+  love: '❤️',
+  haha: '😆',
+  wow: '😮',
+  sad: '😢',
+  angry: '😠',
+};
+
+const snippet = (text) => text?.substring(0, 50) || '...';
+
+// Rule dùng chung cho schema
+const requiredId = { type: 'id', required: true };
+const optionalId = { type: 'id' };
+const optionalName = { type: 'string', maxLength: NAME_MAX_LENGTH };
+const optionalText = { type: 'string', maxLength: TEXT_MAX_LENGTH };
+
+const NOTIFICATION_TYPE_REGISTRY = {
+  // body: { recipientId, senderId, senderName? }
+  friend_request: {
+    route: 'friend-request',
+    schema: { recipientId: requiredId, senderId: requiredId, senderName: optionalName },
+    recipientField: 'recipientId',
+    recipientLabel: 'Recipient',
+    actorField: 'senderId',
+    actorNameField: 'senderName',
+    selfMessage: null,
+    text: (body) => ({ name: body.senderName }),
+    androidChannelId: 'friend_requests',
+    screen: 'FriendRequests',
+    pushData: ({ senderId }) => ({ senderId }),
+    target: () => ({}),
+    data: () => ({}),
+    legacyData: ({ senderId, senderName }) => ({ senderId, senderName }),
+    aggregateBy: null,
+  },
+
+  // body: { recipientId, acceptorId, acceptorName? }
+  friend_accept: {
+    route: 'friend-request-accepted',
+    schema: { recipientId: requiredId, acceptorId: requiredId, acceptorName: optionalName },
+    recipientField: 'recipientId',
+    recipientLabel: 'Recipient',
+    actorField: 'acceptorId',
+    actorNameField: 'acceptorName',
+    selfMessage: null,
+    text: (body) => ({ name: body.acceptorName }),
+    androidChannelId: 'friend_requests',
+    screen: 'Personal_page',
+    // App đã phát hành route theo tên cũ
+    pushType: 'friend_request_accepted',
+    pushData: ({ acceptorId }) => ({ acceptorId }),
+    target: () => ({}),
+    data: () => ({}),
+    legacyData: ({ acceptorId, acceptorName }) => ({ senderId: acceptorId, senderName: acceptorName }),
+    aggregateBy: null,
+  },
+
+  // body: { postId, postOwnerId, commenterId, commenterName?, commentText? }
+  post_comment: {
+    route: 'post-comment',
+    schema: {
+      postId: requiredId,
+      postOwnerId: requiredId,
+      commenterId: requiredId,
+      commenterName: optionalName,
+      commentText: optionalText,
+    },
+    recipientField: 'postOwnerId',
+    recipientLabel: 'Post owner',
+    actorField: 'commenterId',
+    actorNameField: 'commenterName',
+    selfMessage: 'User commented on their own post, no notification needed',
+    text: (body) => ({ name: body.commenterName, snippet: snippet(body.commentText) }),
+    androidChannelId: 'posts',
+    screen: 'PostDetail',
+    pushData: ({ postId, commenterId }) => ({ postId, commenterId }),
+    target: ({ postId }) => ({ postId }),
+    data: ({ commentText }) => ({ commentText }),
+    legacyData: ({ postId, commenterId, commenterName }) => ({ postId, senderId: commenterId, senderName: commenterName }),
+    aggregateBy: 'postId',
+  },
+
+  // body: { postId, postOwnerId, reactorId, reactorName?, reactionType? }
+  post_reaction: {
+    route: 'post-reaction',
+    schema: {
+      postId: requiredId,
+      postOwnerId: requiredId,
+      reactorId: requiredId,
+      reactorName: optionalName,
+      reactionType: { type: 'string', enum: Object.keys(REACTION_EMOJIS) },
+    },
+    recipientField: 'postOwnerId',
+    recipientLabel: 'Post owner',
+    actorField: 'reactorId',
+    actorNameField: 'reactorName',
+    selfMessage: 'User reacted to their own post, no notification needed',
+    text: (body) => ({ name: body.reactorName, emoji: REACTION_EMOJIS[body.reactionType] || REACTION_EMOJIS.like }),
+    androidChannelId: 'posts',
+    screen: 'PostDetail',
+    pushData: ({ postId, reactorId, reactionType }) => ({ postId, reactorId, reactionType: reactionType || 'like' }),
+    target: ({ postId }) => ({ postId }),
+    data: ({ reactionType }) => ({ reactionType }),
+    legacyData: ({ postId, reactorId, reactorName }) => ({ postId, senderId: reactorId, senderName: reactorName }),
+    aggregateBy: 'postId',
+  },
+
+  // body: { postId, postOwnerId, sharerId, sharerName? }
+  post_share: {
+    route: 'post-share',
+    schema: { postId: requiredId, postOwnerId: requiredId, sharerId: requiredId, sharerName: optionalName },
+    recipientField: 'postOwnerId',
+    recipientLabel: 'Post owner',
+    actorField: 'sharerId',
+    actorNameField: 'sharerName',
+    selfMessage: 'User shared their own post, no notification needed',
+    text: (body) => ({ name: body.sharerName }),
+    androidChannelId: 'posts',
+    screen: 'PostDetail',
+    pushData: ({ postId, sharerId }) => ({ postId, sharerId }),
+    target: ({ postId }) => ({ postId }),
+    data: () => ({}),
+    legacyData: ({ postId, sharerId, sharerName }) => ({ postId, senderId: sharerId, senderName: sharerName }),
+    aggregateBy: null,
+  },
+
+  // body: { postId, commentId?, commentOwnerId, replierId, replierName?, replyText? }
+  comment_reply: {
+    route: 'comment-reply',
+    schema: {
+      postId: requiredId,
+      commentId: optionalId,
+      commentOwnerId: requiredId,
+      replierId: requiredId,
+      replierName: optionalName,
+      replyText: optionalText,
+    },
+    recipientField: 'commentOwnerId',
+    recipientLabel: 'Comment owner',
+    actorField: 'replierId',
+    actorNameField: 'replierName',
+    selfMessage: 'User replied to their own comment, no notification needed',
+    text: (body) => ({ name: body.replierName, snippet: snippet(body.replyText) }),
+    androidChannelId: 'posts',
+    screen: 'PostDetail',
+    pushData: ({ postId, replierId }) => ({ postId, replierId }),
+    target: ({ postId, commentId }) => ({ postId, commentId }),
+    data: ({ replyText }) => ({ replyText }),
+    legacyData: ({ postId, replierId, replierName }) => ({ postId, senderId: replierId, senderName: replierName }),
+    aggregateBy: null,
+  },
+
+  // body: { postId, commentId, commentOwnerId, likerId, likerName? }
+  comment_like: {
+    route: 'comment-like',
+    schema: {
+      postId: requiredId,
+      commentId: requiredId,
+      commentOwnerId: requiredId,
+      likerId: requiredId,
+      likerName: optionalName,
+    },
+    recipientField: 'commentOwnerId',
+    recipientLabel: 'Comment owner',
+    actorField: 'likerId',
+    actorNameField: 'likerName',
+    selfMessage: 'User liked their own comment, no notification needed',
+    text: (body) => ({ name: body.likerName }),
+    androidChannelId: 'posts',
+    screen: 'PostDetail',
+    pushData: ({ postId, commentId, likerId }) => ({ postId, commentId, likerId }),
+    target: ({ postId, commentId }) => ({ postId, commentId }),
+    data: () => ({}),
+    legacyData: ({ postId, commentId, likerId, likerName }) => ({ postId, commentId, senderId: likerId, senderName: likerName }),
+    aggregateBy: 'commentId',
+  },
+
+  // body: { recipientId, groupId, groupName?, inviterId, inviterName? }
+  group_invite: {
+    route: 'group-invite',
+    schema: {
+      recipientId: requiredId,
+      groupId: requiredId,
+      groupName: optionalName,
+      inviterId: requiredId,
+      inviterName: optionalName,
+    },
+    recipientField: 'recipientId',
+    recipientLabel: 'Recipient',
+    actorField: 'inviterId',
+    actorNameField: 'inviterName',
+    selfMessage: null,
+    // Chỉ hiện tên khi biết cả người mời và tên nhóm
+    text: (body) => ({ name: body.groupName ? body.inviterName : undefined, groupName: body.groupName }),
+    androidChannelId: 'messages',
+    screen: 'Chat_fr',
+    pushData: ({ groupId, inviterId }) => ({ groupId, inviterId }),
+    target: ({ groupId }) => ({ groupId }),
+    data: ({ groupName }) => ({ groupName }),
+    legacyData: ({ groupId, inviterId, inviterName }) => ({ groupId, inviterId, inviterName, screen: 'Chat_fr' }),
+    aggregateBy: null,
+  },
+
+  // body: { recipientId, mentionerId, mentionerName?, postId?, commentId?, type: 'post' | 'comment' }
+  mention: {
+    route: 'mention',
+    schema: {
+      recipientId: requiredId,
+      mentionerId: requiredId,
+      mentionerName: optionalName,
+      postId: optionalId,
+      commentId: optionalId,
+      type: { type: 'string', enum: ['post', 'comment'] },
+    },
+    recipientField: 'recipientId',
+    recipientLabel: 'Recipient',
+    actorField: 'mentionerId',
+    actorNameField: 'mentionerName',
+    selfMessage: 'User mentioned themselves, no notification needed',
+    text: (body, locale) => ({
+      name: body.mentionerName,
+      target: t(locale, `common.target.${body.type === 'comment' ? 'comment' : 'post'}`),
+    }),
+    androidChannelId: 'posts',
+    screen: 'PostDetail',
+    pushData: ({ type, postId, commentId, mentionerId }) => ({
+      mentionType: type || 'post',
+      postId: postId || '',
+      commentId: commentId || '',
+      mentionerId,
+    }),
+    target: ({ type, postId, commentId }) => ({ postId, commentId: type === 'comment' ? commentId : undefined }),
+    data: () => ({}),
+    legacyData: ({ type, postId, commentId, mentionerId, mentionerName }) => ({
+      mentionType: type || 'post',
+      postId,
+      commentId,
+      mentionerId,
+      mentionerName,
+      screen: 'PostDetail',
+    }),
+    aggregateBy: null,
+  },
+};
+
+/**
+ * Kiểm tra registry khi khởi động (khai báo thiếu → lỗi ngay thay vì lỗi khi có request)
+ * @param {typeof NOTIFICATION_TYPE_REGISTRY} registry
+ * @throws {Error}
+ */
+function assertValidRegistry(registry) {
+  const routes = new Set();
+  Object.entries(registry).forEach(([type, definition]) => {
+    const fail = (message) => {
+      throw new Error(`Invalid notification type "${type}": ${message}`);
+    };
+
+    if (!NOTIFICATION_TYPES.includes(type)) fail('not in NOTIFICATION_TYPES');
+    if (routes.has(definition.route)) fail(`duplicate route ${definition.route}`);
+    routes.add(definition.route);
+
+    [definition.recipientField, definition.actorField, definition.aggregateBy]
+      .filter(Boolean)
+      .forEach((field) => {
+        if (!definition.schema?.[field]?.required) fail(`${field} must be required in schema`);
+      });
+    ['text', 'pushData', 'target', 'data', 'legacyData'].forEach((key) => {
+      if (typeof definition[key] !== 'function') fail(`${key} must be a function`);
+    });
+    ['recipientLabel', 'actorNameField', 'androidChannelId', 'screen'].forEach((key) => {
+      if (typeof definition[key] !== 'string' || !definition[key]) fail(`${key} is required`);
+    });
+    if (definition.pushType !== undefined && (typeof definition.pushType !== 'string' || !definition.pushType)) {
+      fail('pushType must be a non-empty string');
+    }
+  });
+}
+
+assertValidRegistry(NOTIFICATION_TYPE_REGISTRY);
+
+/**
+ * Payload push của 1 loại trong registry (notification + data + kênh Android)
+ * @param {string} type
+ * @param {object} input - Body đã validate
+ * @param {object} content
+ * @param {string} content.title
+ * @param {string} content.body
+ * @param {number} [content.actorCount] - Số người khi gộp (chỉ với aggregateBy)
+ * @param {string} [content.collapseKey]
+ * @returns {{notification: {title: string, body: string}, data: object, androidChannelId: string, collapseKey?: string}}
+ */
+function buildPushPayload(type, input, { title, body, actorCount, collapseKey }) {
+  const definition = NOTIFICATION_TYPE_REGISTRY[type];
+  return {
+    notification: { title, body },
+    data: {
+      type: definition.pushType || type,
+      ...definition.pushData(input),
+      ...(definition.aggregateBy ? { actorCount: String(actorCount) } : {}),
+      screen: definition.screen,
+    },
+    androidChannelId: definition.androidChannelId,
+    collapseKey,
+  };
+}
+
+/**
+ * `data` lưu kèm notification in-app: field của loại + field cũ (legacyData) trong giai đoạn chuyển tiếp
+ * @param {string} type
+ * @param {object} input - Body đã validate
+ * @returns {object}
+ */
+function buildInAppData(type, input) {
+  const definition = NOTIFICATION_TYPE_REGISTRY[type];
+  return { ...definition.legacyData(input), ...definition.data(input) };
+}
+
+module.exports = {
+  NOTIFICATION_TYPE_REGISTRY,
+  REACTION_EMOJIS,
+  assertValidRegistry,
+  buildPushPayload,
+  buildInAppData,
+};
@@ -0,0 +1,156 @@
+/**
+ * OTP Store
+ * Interface lưu OTP với 2 backend:
+ * - memory: Map trong process (dùng cho test / local, mất khi restart)
+ * - firestore: collection `otp_codes`, dùng chung giữa nhiều instance
+ *
+ * Interface (tất cả đều async):
+ * - get(key)                 → record | null (handler tự kiểm tra expiresAt)
+ * - set(key, record)         → lưu/ghi đè record { otpHash, salt, expiresAt, attempts, createdAt }
+ * - delete(key)
+ * - incrementAttempts(key)   → số lần nhập sau khi tăng (null nếu không có record); gọi TRƯỚC khi so sánh
+ *                              mã để giữ lượt, nên phải atomic giữa nhiều request / instance
+ *
+ * key = `${purpose}:${email}` (xem getOtpKey trong server.js), không phân biệt hoa thường.
+ * expiresAt / createdAt luôn là timestamp (ms) ở phía handler.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Chuẩn hoá email (không phân biệt hoa thường, bỏ khoảng trắng)
+ * @param {string} email
+ * @returns {string}
+ */
+function normalizeEmail(email) {
+  return String(email).trim().toLowerCase();
+}
+
+// Key chứa email nên chuẩn hoá giống email
+const normalizeKey = normalizeEmail;
+
+// =======================
+// Memory backend
+// =======================
+
+/**
+ * OTP store trong bộ nhớ (1 instance, reset khi restart)
+ */
+function createMemoryOtpStore() {
+  const store = new Map(); // key -> { otpHash, salt, expiresAt, attempts, createdAt }
+
+  return {
+    driver: 'memory',
+
+    async get(key) {
+      const record = store.get(normalizeKey(key));
+      return record ? { ...record } : null;
+    },
+
+    async set(key, record) {
+      store.set(normalizeKey(key), { ...record });
+    },
+
+    async delete(key) {
+      store.delete(normalizeKey(key));
+    },
+
+    async incrementAttempts(key) {
+      const record = store.get(normalizeKey(key));
+      if (!record) return null;
+      record.attempts += 1;
+      return record.attempts;
+    },
+  };
+}
+
+// =======================
+// Firestore backend
+// =======================
+
+/**
+ * OTP store trên Firestore.
+ * - Doc ID = sha256(key) để không lộ email trong đường dẫn document
+ * - Field `expiresAt` là Timestamp → bật TTL policy trên field này để Firestore tự xoá doc hết hạn
+ *   (TTL có thể trễ tới 24h nên handler vẫn phải tự kiểm tra hạn)
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {object} [options]
+ * @param {string} [options.collection='otp_codes']
+ */
+function createFirestoreOtpStore(db, { collection = 'otp_codes' } = {}) {
+  const { Timestamp } = require('firebase-admin').firestore;
+
+  const docRef = (key) =>
+    db.collection(collection).doc(
+      crypto.createHash('sha256').update(normalizeKey(key)).digest('hex')
+    );
+
+  const fromDoc = (doc) => {
+    const data = doc.data();
+    return {
+      ...data,
+      expiresAt: data.expiresAt.toMillis(),
+      createdAt: data.createdAt.toMillis(),
+    };
+  };
+
+  return {
+    driver: 'firestore',
+
+    async get(key) {
+      const doc = await docRef(key).get();
+      return doc.exists ? fromDoc(doc) : null;
+    },
+
+    async set(key, record) {
+      await docRef(key).set({
+        ...record,
+        expiresAt: Timestamp.fromMillis(record.expiresAt),
+        createdAt: Timestamp.fromMillis(record.createdAt),
+      });
+    },
+
+    async delete(key) {
+      await docRef(key).delete();
+    },
+
+    async incrementAttempts(key) {
+      // Transaction để nhiều instance verify cùng lúc không bị mất lượt đếm
+      const ref = docRef(key);
+      return db.runTransaction(async (tx) => {
+        const doc = await tx.get(ref);
+        if (!doc.exists) return null;
+        const attempts = (doc.data().attempts || 0) + 1;
+        tx.update(ref, { attempts });
+        return attempts;
+      });
+    },
+  };
+}
+
+/**
+ * Tạo OTP store theo cấu hình
+ * @param {object} options
+ * @param {'firestore'|'memory'} [options.driver='firestore']
+ * @param {FirebaseFirestore.Firestore} [options.db] - Bắt buộc với driver firestore
+ */
+function createOtpStore({ driver = 'firestore', db } = {}) {
+  switch (driver) {
+    case 'memory':
+      return createMemoryOtpStore();
+    case 'firestore':
+      if (!db) {
+        throw new Error('Firestore OTP store requires a Firestore instance');
+      }
+      return createFirestoreOtpStore(db);
+    default:
+      throw new Error(`Unknown OTP store driver: ${driver}`);
+  }
+}
+
+module.exports = {
+  createOtpStore,
+  createMemoryOtpStore,
+  createFirestoreOtpStore,
+  normalizeEmail,
+};
@@ -0,0 +1,138 @@
+/**
+ * Quiet Hours (Do not disturb)
+ * Khung giờ yên lặng của user, tính theo múi giờ của chính user.
+ *
+ * users/{uid}.quietHours = {
+ *   enabled: boolean,
+ *   start: 'HH:MM',          // vd '22:00'
+ *   end: 'HH:MM',            // vd '07:00' (qua nửa đêm vẫn hợp lệ)
+ *   timezone: 'Asia/Ho_Chi_Minh',
+ *   mode: 'silent' | 'defer', // silent: push không chuông/rung, defer: push được gửi khi quiet hours kết thúc
+ *   vipSenders: string[],     // uid được phép "xuyên" quiet hours
+ * }
+ */
+
+const DEFAULT_TIMEZONE = 'Asia/Ho_Chi_Minh';
+const QUIET_HOURS_MODES = ['silent', 'defer'];
+const TIME_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MAX_VIP_SENDERS = 100;
+
+const DEFAULT_QUIET_HOURS = {
+  enabled: false,
+  start: '22:00',
+  end: '07:00',
+  timezone: DEFAULT_TIMEZONE,
+  mode: 'silent',
+  vipSenders: [],
+};
+
+/**
+ * @param {string} timezone - Tên IANA, vd 'Asia/Ho_Chi_Minh'
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || !timezone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * @param {string} value - 'HH:MM'
+ * @returns {boolean}
+ */
+function isValidTime(value) {
+  return typeof value === 'string' && TIME_REGEX.test(value);
+}
+
+/**
+ * 'HH:MM' → số phút từ 0h
+ * @param {string} value
+ */
+function toMinutes(value) {
+  const [, hours, minutes] = value.match(TIME_REGEX);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * Quiet hours đầy đủ của user (điền mặc định, bỏ giá trị sai)
+ * @param {object} stored - users/{uid}.quietHours
+ * @returns {typeof DEFAULT_QUIET_HOURS}
+ */
+function normalizeQuietHours(stored) {
+  const value = stored && typeof stored === 'object' ? stored : {};
+  return {
+    enabled: value.enabled === true,
+    start: isValidTime(value.start) ? value.start : DEFAULT_QUIET_HOURS.start,
+    end: isValidTime(value.end) ? value.end : DEFAULT_QUIET_HOURS.end,
+    timezone: isValidTimezone(value.timezone) ? value.timezone : DEFAULT_TIMEZONE,
+    mode: QUIET_HOURS_MODES.includes(value.mode) ? value.mode : DEFAULT_QUIET_HOURS.mode,
+    vipSenders: Array.isArray(value.vipSenders)
+      ? value.vipSenders.filter((uid) => typeof uid === 'string')
+      : [],
+  };
+}
+
+/**
+ * Giờ địa phương (số phút từ 0h) tại thời điểm `date` trong `timezone`
+ * @param {Date} date
+ * @param {string} timezone
+ */
+function getLocalMinutes(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const hour = Number(parts.find((part) => part.type === 'hour').value);
+  const minute = Number(parts.find((part) => part.type === 'minute').value);
+  return hour * 60 + minute;
+}
+
+/**
+ * Thời điểm `date` có nằm trong quiet hours không.
+ * start > end nghĩa là khung giờ qua nửa đêm (vd 22:00 → 07:00).
+ * @param {object} quietHours - Kết quả normalizeQuietHours
+ * @param {Date} [date]
+ * @returns {boolean}
+ */
+function isWithinQuietHours(quietHours, date = new Date()) {
+  if (!quietHours?.enabled) return false;
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === end) return false;
+
+  const now = getLocalMinutes(date, quietHours.timezone);
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+/**
+ * Thời điểm quiet hours đang diễn ra kết thúc (giờ `end` kế tiếp theo múi giờ của user), dùng để hẹn gửi
+ * push bị hoãn. Tính theo phút địa phương hiện tại, ngày chuyển giờ (DST) có thể lệch tối đa 1 giờ.
+ * @param {object} quietHours - Kết quả normalizeQuietHours
+ * @param {Date} [date]
+ * @returns {number} epoch ms (luôn sau `date`)
+ */
+function getQuietHoursEnd(quietHours, date = new Date()) {
+  const now = getLocalMinutes(date, quietHours.timezone);
+  const minutesLeft = (toMinutes(quietHours.end) - now + 24 * 60) % (24 * 60) || 24 * 60;
+  const startOfMinute = date.getTime() - (date.getTime() % (60 * 1000));
+  return startOfMinute + minutesLeft * 60 * 1000;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DEFAULT_QUIET_HOURS,
+  QUIET_HOURS_MODES,
+  MAX_VIP_SENDERS,
+  isValidTimezone,
+  isValidTime,
+  normalizeQuietHours,
+  isWithinQuietHours,
+  getQuietHoursEnd,
+};
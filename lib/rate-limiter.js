@@ -0,0 +1,215 @@
+/**
+ * Rate Limiter (sliding window log)
+ * Cùng 2 backend như OTP store:
+ * - memory: Map trong process (test / local)
+ * - firestore: collection `rate_limits`, dùng chung giữa nhiều instance
+ *
+ * Interface (tất cả đều async):
+ * - check(key, { limit, windowMs })   → { allowed, count, retryAfterMs } (không ghi nhận)
+ * - consume(key, { limit, windowMs }) → như check, ghi nhận 1 lượt nếu allowed
+ * - consumeMany([{ key, limit, windowMs }]) → { allowed, blockedIndex, results }: kiểm tra và ghi nhận nhiều bucket
+ *   cùng lúc (atomic) - chỉ ghi nhận khi mọi bucket còn lượt, request đồng thời không vượt limit
+ * - record(key, { windowMs })         → ghi nhận 1 lượt (không kiểm tra limit)
+ * - reset(key)
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Tính kết quả cho 1 cửa sổ trượt
+ * @param {number[]} hits - Timestamps (ms) đã sắp xếp tăng dần, chỉ trong cửa sổ
+ * @param {number} limit
+ * @param {number} windowMs
+ * @param {number} now
+ */
+function evaluate(hits, limit, windowMs, now) {
+  if (hits.length < limit) {
+    return { allowed: true, count: hits.length, retryAfterMs: 0 };
+  }
+  // Phải chờ tới khi đủ số lượt cũ nhất rơi ra khỏi cửa sổ
+  const unlockAt = hits[hits.length - limit] + windowMs;
+  return { allowed: false, count: hits.length, retryAfterMs: Math.max(0, unlockAt - now) };
+}
+
+/**
+ * Lọc các lượt còn nằm trong cửa sổ
+ * @param {number[]} hits
+ * @param {number} windowMs
+ * @param {number} now
+ */
+function inWindow(hits, windowMs, now) {
+  return (hits || []).filter((ts) => ts > now - windowMs).sort((a, b) => a - b);
+}
+
+/**
+ * Kết quả consumeMany: bucket đầu tiên hết lượt → không ghi nhận bucket nào
+ * @param {Array<{key: string, limit: number, windowMs: number}>} rules
+ * @param {number[][]} hitsList - Lượt trong cửa sổ của từng bucket
+ * @param {number} now
+ * @param {(rule: object, hits: number[], index: number) => void} save - Ghi lại hits của 1 bucket
+ * @returns {{allowed: boolean, blockedIndex: number, results: Array<{allowed: boolean, count: number, retryAfterMs: number}>}}
+ */
+function commitMany(rules, hitsList, now, save) {
+  const results = rules.map(({ limit, windowMs }, i) => evaluate(hitsList[i], limit, windowMs, now));
+  const blockedIndex = results.findIndex((result) => !result.allowed);
+  if (blockedIndex === -1) {
+    rules.forEach((rule, i) => {
+      hitsList[i].push(now);
+      results[i].count = hitsList[i].length;
+      save(rule, hitsList[i], i);
+    });
+  }
+  return { allowed: blockedIndex === -1, blockedIndex, results };
+}
+
+// =======================
+// Memory backend
+// =======================
+
+function createMemoryRateLimiter() {
+  const store = new Map(); // key -> number[]
+
+  return {
+    driver: 'memory',
+
+    async check(key, { limit, windowMs }) {
+      const now = Date.now();
+      return evaluate(inWindow(store.get(key), windowMs, now), limit, windowMs, now);
+    },
+
+    async consume(key, { limit, windowMs }) {
+      const now = Date.now();
+      const hits = inWindow(store.get(key), windowMs, now);
+      const result = evaluate(hits, limit, windowMs, now);
+      if (result.allowed) {
+        hits.push(now);
+        result.count = hits.length;
+      }
+      store.set(key, hits);
+      return result;
+    },
+
+    async consumeMany(rules) {
+      // Không có await giữa đọc và ghi → atomic trong 1 process
+      const now = Date.now();
+      const hitsList = rules.map(({ key, windowMs }) => inWindow(store.get(key), windowMs, now));
+      return commitMany(rules, hitsList, now, (rule, hits) => store.set(rule.key, hits));
+    },
+
+    async record(key, { windowMs }) {
+      const now = Date.now();
+      const hits = inWindow(store.get(key), windowMs, now);
+      hits.push(now);
+      store.set(key, hits);
+    },
+
+    async reset(key) {
+      store.delete(key);
+    },
+  };
+}
+
+// =======================
+// Firestore backend
+// =======================
+
+/**
+ * Rate limiter trên Firestore.
+ * - Doc ID = sha256(key) (key có thể chứa email / IP)
+ * - `expiresAt` = lượt mới nhất + windowMs → bật TTL policy để tự dọn
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {object} [options]
+ * @param {string} [options.collection='rate_limits']
+ */
+function createFirestoreRateLimiter(db, { collection = 'rate_limits' } = {}) {
+  const { Timestamp } = require('firebase-admin').firestore;
+
+  const docRef = (key) =>
+    db.collection(collection).doc(crypto.createHash('sha256').update(key).digest('hex'));
+
+  const write = (tx, ref, hits, windowMs) => {
+    tx.set(ref, {
+      hits,
+      expiresAt: Timestamp.fromMillis((hits[hits.length - 1] || Date.now()) + windowMs),
+    });
+  };
+
+  return {
+    driver: 'firestore',
+
+    async check(key, { limit, windowMs }) {
+      const now = Date.now();
+      const doc = await docRef(key).get();
+      const hits = inWindow(doc.exists ? doc.data().hits : [], windowMs, now);
+      return evaluate(hits, limit, windowMs, now);
+    },
+
+    async consume(key, { limit, windowMs }) {
+      // Transaction để nhiều instance cùng đếm chính xác
+      const ref = docRef(key);
+      return db.runTransaction(async (tx) => {
+        const now = Date.now();
+        const doc = await tx.get(ref);
+        const hits = inWindow(doc.exists ? doc.data().hits : [], windowMs, now);
+        const result = evaluate(hits, limit, windowMs, now);
+        if (result.allowed) {
+          hits.push(now);
+          result.count = hits.length;
+          write(tx, ref, hits, windowMs);
+        }
+        return result;
+      });
+    },
+
+    async consumeMany(rules) {
+      const refs = rules.map(({ key }) => docRef(key));
+      return db.runTransaction(async (tx) => {
+        const now = Date.now();
+        const docs = await tx.getAll(...refs);
+        const hitsList = rules.map(({ windowMs }, i) => inWindow(docs[i].exists ? docs[i].data().hits : [], windowMs, now));
+        return commitMany(rules, hitsList, now, (rule, hits, i) => write(tx, refs[i], hits, rule.windowMs));
+      });
+    },
+
+    async record(key, { windowMs }) {
+      const ref = docRef(key);
+      await db.runTransaction(async (tx) => {
+        const now = Date.now();
+        const doc = await tx.get(ref);
+        const hits = inWindow(doc.exists ? doc.data().hits : [], windowMs, now);
+        hits.push(now);
+        write(tx, ref, hits, windowMs);
+      });
+    },
+
+    async reset(key) {
+      await docRef(key).delete();
+    },
+  };
+}
+
+/**
+ * Tạo rate limiter theo cấu hình (cùng driver với OTP store)
+ * @param {object} options
+ * @param {'firestore'|'memory'} [options.driver='firestore']
+ * @param {FirebaseFirestore.Firestore} [options.db] - Bắt buộc với driver firestore
+ */
+function createRateLimiter({ driver = 'firestore', db } = {}) {
+  switch (driver) {
+    case 'memory':
+      return createMemoryRateLimiter();
+    case 'firestore':
+      if (!db) {
+        throw new Error('Firestore rate limiter requires a Firestore instance');
+      }
+      return createFirestoreRateLimiter(db);
+    default:
+      throw new Error(`Unknown rate limiter driver: ${driver}`);
+  }
+}
+
+module.exports = {
+  createRateLimiter,
+  createMemoryRateLimiter,
+  createFirestoreRateLimiter,
+};
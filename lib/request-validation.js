@@ -0,0 +1,310 @@
+/**
+ * Request Validation
+ * Schema khai báo cho body của từng route, vd:
+ *
+ *   {
+ *     recipientId: { type: 'id', required: true },
+ *     text: { type: 'string', maxLength: TEXT_MAX_LENGTH },
+ *     reactionType: { type: 'string', enum: ['like', 'love'] },
+ *     data: { type: 'stringMap' },
+ *   }
+ *
+ * Kiểu: id (chuỗi 1..128 ký tự, không có '/'), string, boolean, integer, digits (chuỗi chữ số, nhận cả số
+ * nguyên không âm; có `length` thì số được thêm 0 đứng đầu cho đủ độ dài và bắt buộc đúng `length` chữ số),
+ * datetime (chuỗi ISO 8601, chuẩn hoá thành dạng UTC "2026-01-01T09:00:00.000Z"), stringMap
+ * (object mà mọi giá trị được chuyển thành chuỗi - FCM chỉ nhận data là string),
+ * array (mảng, mỗi phần tử theo `items`, giới hạn minItems / maxItems),
+ * object (object con theo schema `properties`, key lạ bị từ chối),
+ * list (chuỗi phân tách bởi dấu phẩy hoặc mảng chuỗi → mảng không trùng, dùng cho filter `type`).
+ * Tuỳ chọn `validate(value)` trả true hoặc câu lỗi, dùng cho kiểm tra riêng (giờ HH:MM, timezone...).
+ * null / undefined / '' được coi là không truyền. Field không có trong schema bị bỏ
+ * (handler / job payload chỉ nhận field đã khai báo).
+ *
+ * validateRequest(schema, options?) → middleware, body sai trả 400:
+ * { error: 'Invalid request body', code: 'VALIDATION_FAILED', errors: [{ field, code, message }] }
+ * options.source = 'query' kiểm tra req.query (integer / boolean được đọc từ chuỗi),
+ * options.requireOneOf = ['a', 'b'] bắt buộc có ít nhất 1 trong các field.
+ */
+
+const ID_MAX_LENGTH = 128;
+const NAME_MAX_LENGTH = 100;
+const TEXT_MAX_LENGTH = 2000;
+// Ngày giờ ISO 8601 có múi giờ (Z hoặc +07:00) → không phụ thuộc múi giờ của server
+const ISO_DATETIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/;
+// FCM giới hạn 4KB cho cả payload
+const STRING_MAP_MAX_BYTES = 3000;
+const STRING_MAP_MAX_KEYS = 50;
+// Key FCM không cho dùng trong data
+const FCM_RESERVED_KEY = /^(from|notification|message_type|collapse_key|(google|gcm)\..*)$/;
+
+const RULE_TYPES = ['id', 'string', 'boolean', 'integer', 'digits', 'datetime', 'stringMap', 'array', 'object', 'list'];
+
+const VALIDATION_CODES = {
+  REQUIRED: 'REQUIRED',
+  INVALID_TYPE: 'INVALID_TYPE',
+  INVALID_VALUE: 'INVALID_VALUE',
+  TOO_LONG: 'TOO_LONG',
+  OUT_OF_RANGE: 'OUT_OF_RANGE',
+  RESERVED_KEY: 'RESERVED_KEY',
+  UNKNOWN_FIELD: 'UNKNOWN_FIELD',
+};
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Giá trị của stringMap → chuỗi (object / array → JSON)
+ * @param {*} value
+ */
+function toDataString(value) {
+  if (typeof value === 'string') return value;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Kiểm tra 1 field
+ * @param {string} field
+ * @param {*} value - Giá trị đã có (không missing)
+ * @param {object} rule
+ * @returns {{errors: Array<{field: string, code: string, message: string}>, value: *}}
+ */
+function validateField(field, value, rule) {
+  const error = (code, message) => ({ errors: [{ field, code, message }], value });
+
+  switch (rule.type) {
+    case 'id':
+      if (typeof value !== 'string') return error(VALIDATION_CODES.INVALID_TYPE, `${field} must be a string`);
+      if (value.length > ID_MAX_LENGTH) {
+        return error(VALIDATION_CODES.TOO_LONG, `${field} must be at most ${ID_MAX_LENGTH} characters`);
+      }
+      if (value.includes('/')) return error(VALIDATION_CODES.INVALID_VALUE, `${field} must not contain "/"`);
+      break;
+
+    case 'string':
+      if (typeof value !== 'string') return error(VALIDATION_CODES.INVALID_TYPE, `${field} must be a string`);
+      if (rule.maxLength && value.length > rule.maxLength) {
+        return error(VALIDATION_CODES.TOO_LONG, `${field} must be at most ${rule.maxLength} characters`);
+      }
+      break;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') return error(VALIDATION_CODES.INVALID_TYPE, `${field} must be a boolean`);
+      break;
+
+    case 'integer':
+      if (!Number.isInteger(value)) return error(VALIDATION_CODES.INVALID_TYPE, `${field} must be an integer`);
+      if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+        return error(
+          VALIDATION_CODES.OUT_OF_RANGE,
+          `${field} must be between ${rule.min ?? '-∞'} and ${rule.max ?? '∞'}`
+        );
+      }
+      break;
+
+    case 'digits':
+      // Số mất 0 đứng đầu (012345 → 12345) → thêm lại theo `length`
+      if (Number.isInteger(value) && value >= 0) value = String(value).padStart(rule.length || 0, '0');
+      if (typeof value === 'string') value = value.trim();
+      if (typeof value !== 'string') return error(VALIDATION_CODES.INVALID_TYPE, `${field} must be a string of digits`);
+      if (!/^\d+$/.test(value)) return error(VALIDATION_CODES.INVALID_VALUE, `${field} must only contain digits`);
+      if (rule.length && value.length !== rule.length) {
+        return error(VALIDATION_CODES.INVALID_VALUE, `${field} must be exactly ${rule.length} digits`);
+      }
+      if (rule.maxLength && value.length > rule.maxLength) {
+        return error(VALIDATION_CODES.TOO_LONG, `${field} must be at most ${rule.maxLength} characters`);
+      }
+      break;
+
+    case 'datetime':
+      if (typeof value !== 'string') return error(VALIDATION_CODES.INVALID_TYPE, `${field} must be a string`);
+      if (!ISO_DATETIME.test(value) || Number.isNaN(Date.parse(value))) {
+        return error(VALIDATION_CODES.INVALID_VALUE, `${field} must be an ISO 8601 date-time with timezone`);
+      }
+      return { errors: [], value: new Date(value).toISOString() };
+
+    case 'stringMap': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return error(VALIDATION_CODES.INVALID_TYPE, `${field} must be an object`);
+      }
+      const entries = Object.entries(value).filter(([_, item]) => item !== undefined && item !== null);
+      const reserved = entries.find(([key]) => FCM_RESERVED_KEY.test(key));
+      if (reserved) return error(VALIDATION_CODES.RESERVED_KEY, `${field}.${reserved[0]} is a reserved key`);
+      if (entries.length > STRING_MAP_MAX_KEYS) {
+        return error(VALIDATION_CODES.TOO_LONG, `${field} must have at most ${STRING_MAP_MAX_KEYS} keys`);
+      }
+      const coerced = Object.fromEntries(entries.map(([key, item]) => [key, toDataString(item)]));
+      if (Buffer.byteLength(JSON.stringify(coerced)) > STRING_MAP_MAX_BYTES) {
+        return error(VALIDATION_CODES.TOO_LONG, `${field} must be at most ${STRING_MAP_MAX_BYTES} bytes`);
+      }
+      return { errors: [], value: coerced };
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) return error(VALIDATION_CODES.INVALID_TYPE, `${field} must be an array`);
+      if (value.length < (rule.minItems ?? 0) || (rule.maxItems !== undefined && value.length > rule.maxItems)) {
+        return error(
+          VALIDATION_CODES.OUT_OF_RANGE,
+          `${field} must have between ${rule.minItems ?? 0} and ${rule.maxItems ?? '∞'} items`
+        );
+      }
+      const results = value.map((item, index) => {
+        const itemField = `${field}[${index}]`;
+        return isMissing(item)
+          ? { errors: [{ field: itemField, code: VALIDATION_CODES.REQUIRED, message: `${itemField} is required` }] }
+          : validateField(itemField, item, rule.items);
+      });
+      const errors = results.flatMap((result) => result.errors);
+      return { errors, value: errors.length > 0 ? value : results.map((result) => result.value) };
+    }
+
+    case 'object': {
+      if (!isPlainObject(value)) return error(VALIDATION_CODES.INVALID_TYPE, `${field} must be an object`);
+      const allowed = Object.keys(rule.properties);
+      const unknown = Object.keys(value)
+        .filter((key) => !allowed.includes(key))
+        .map((key) => ({
+          field: `${field}.${key}`,
+          code: VALIDATION_CODES.UNKNOWN_FIELD,
+          message: `${field}.${key} is not allowed (allowed: ${allowed.join(', ')})`,
+        }));
+      const result = validateBody(value, rule.properties, `${field}.`);
+      return { errors: [...unknown, ...result.errors], value: result.value };
+    }
+
+    case 'list': {
+      if (typeof value === 'string') value = value.split(',');
+      if (!Array.isArray(value) || !value.every((item) => typeof item === 'string')) {
+        return error(VALIDATION_CODES.INVALID_TYPE, `${field} must be a comma-separated string`);
+      }
+      const items = [...new Set(value.map((item) => item.trim()).filter(Boolean))];
+      const invalid = rule.enum && items.find((item) => !rule.enum.includes(item));
+      if (invalid) {
+        return error(VALIDATION_CODES.INVALID_VALUE, `${field} must only contain: ${rule.enum.join(', ')} (got ${invalid})`);
+      }
+      if (rule.maxItems !== undefined && items.length > rule.maxItems) {
+        return error(VALIDATION_CODES.OUT_OF_RANGE, `${field} must have at most ${rule.maxItems} items`);
+      }
+      return { errors: [], value: items.length > 0 ? items : undefined };
+    }
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return error(VALIDATION_CODES.INVALID_VALUE, `${field} must be one of: ${rule.enum.join(', ')}`);
+  }
+  if (rule.validate) {
+    const valid = rule.validate(value);
+    if (valid !== true) return error(VALIDATION_CODES.INVALID_VALUE, `${field} ${valid}`);
+  }
+  return { errors: [], value };
+}
+
+/**
+ * Kiểm tra body theo schema
+ * @param {object} body
+ * @param {Object<string, object>} schema
+ * @param {string} [prefix=''] - Tiền tố tên field (object con, vd 'quietHours.')
+ * @returns {{errors: Array<{field: string, code: string, message: string}>, value: object}}
+ *   value: body đã chuẩn hoá (stringMap đã chuyển thành chuỗi), chỉ gồm field có trong schema và có giá trị
+ */
+function validateBody(body, schema, prefix = '') {
+  if (!isPlainObject(body)) {
+    return {
+      errors: [{ field: 'body', code: VALIDATION_CODES.INVALID_TYPE, message: 'body must be a JSON object' }],
+      value: {},
+    };
+  }
+
+  const errors = [];
+  const value = {};
+  Object.entries(schema).forEach(([name, rule]) => {
+    const field = `${prefix}${name}`;
+    if (isMissing(body[name])) {
+      if (rule.required) {
+        errors.push({ field, code: VALIDATION_CODES.REQUIRED, message: `${field} is required` });
+      }
+      return;
+    }
+    const result = validateField(field, body[name], rule);
+    errors.push(...result.errors);
+    if (result.value !== undefined) value[name] = result.value;
+  });
+
+  return { errors, value };
+}
+
+/**
+ * Query string chỉ có chuỗi → đọc integer / boolean trước khi kiểm tra
+ * @param {*} value
+ * @param {object} rule
+ */
+function fromQueryValue(value, rule) {
+  if (typeof value !== 'string') return value;
+  if (rule.type === 'integer' && /^-?\d+$/.test(value)) return Number(value);
+  if (rule.type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+}
+
+/**
+ * Kiểm tra rule (cả rule lồng trong array / object) khi khai báo route
+ * @param {string} field
+ * @param {object} rule
+ */
+function assertValidRule(field, rule) {
+  if (!RULE_TYPES.includes(rule?.type)) {
+    throw new Error(`Unknown validation type "${rule?.type}" for ${field}`);
+  }
+  if (rule.type === 'array') assertValidRule(`${field}[]`, rule.items);
+  if (rule.type === 'object') {
+    Object.entries(rule.properties || {}).forEach(([name, child]) => assertValidRule(`${field}.${name}`, child));
+  }
+}
+
+/**
+ * Middleware kiểm tra req.body (hoặc req.query) theo schema, giá trị hợp lệ được thay bằng bản đã chuẩn hoá
+ * @param {Object<string, object>} schema
+ * @param {object} [options]
+ * @param {'body'|'query'} [options.source='body']
+ * @param {string[]} [options.requireOneOf] - Bắt buộc có ít nhất 1 trong các field này
+ */
+function validateRequest(schema, { source = 'body', requireOneOf } = {}) {
+  Object.entries(schema).forEach(([field, rule]) => assertValidRule(field, rule));
+
+  return (req, res, next) => {
+    let input = source === 'body' ? req.body : req.query;
+    if (source === 'query') {
+      input = Object.fromEntries(
+        Object.entries(input || {}).map(([key, item]) => [key, schema[key] ? fromQueryValue(item, schema[key]) : item])
+      );
+    }
+
+    const { errors, value } = validateBody(input, schema);
+    if (errors.length === 0 && requireOneOf && !requireOneOf.some((field) => field in value)) {
+      errors.push({
+        field: source,
+        code: VALIDATION_CODES.REQUIRED,
+        message: `one of ${requireOneOf.join(', ')} is required`,
+      });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: source === 'body' ? 'Invalid request body' : 'Invalid query parameters',
+        code: 'VALIDATION_FAILED',
+        errors,
+      });
+    }
+    req[source] = value;
+    next();
+  };
+}
+
+module.exports = {
+  ID_MAX_LENGTH,
+  NAME_MAX_LENGTH,
+  TEXT_MAX_LENGTH,
+  VALIDATION_CODES,
+  toDataString,
+  validateBody,
+  validateRequest,
+};
@@ -0,0 +1,96 @@
+/**
+ * Verification Token
+ * Token ngắn hạn (JWT HS256) trả về sau khi verify OTP thành công.
+ * App gửi token này cho Firebase Functions như bằng chứng đã xác thực email
+ * cho đúng mục đích (purpose), Functions kiểm tra bằng cùng secret (OTP_TOKEN_SECRET).
+ *
+ * Claims: { iss, sub: email, purpose, iat, exp, jti }
+ */
+
+const crypto = require('crypto');
+
+const ISSUER = 'chatlofi-notification';
+
+/**
+ * @param {Buffer|string} input
+ * @returns {string}
+ */
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+/**
+ * @param {string} data
+ * @param {string} secret
+ * @returns {string}
+ */
+function hmac(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Ký verification token
+ * @param {object} params
+ * @param {string} params.email
+ * @param {string} params.purpose
+ * @param {string} params.secret
+ * @param {number} params.ttlSeconds
+ * @returns {{token: string, expiresIn: number, jti: string}}
+ */
+function signVerificationToken({ email, purpose, secret, ttlSeconds }) {
+  const now = Math.floor(Date.now() / 1000);
+  const jti = crypto.randomUUID();
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(
+    JSON.stringify({
+      iss: ISSUER,
+      sub: email,
+      purpose,
+      iat: now,
+      exp: now + ttlSeconds,
+      jti,
+    })
+  );
+  const signature = hmac(`${header}.${payload}`, secret);
+  return { token: `${header}.${payload}.${signature}`, expiresIn: ttlSeconds, jti };
+}
+
+/**
+ * Kiểm tra verification token
+ * @param {string} token
+ * @param {object} params
+ * @param {string} params.secret
+ * @param {string} [params.purpose] - Nếu có, purpose trong token phải khớp
+ * @returns {object} claims
+ * @throws {Error} token sai chữ ký / hết hạn / sai purpose
+ */
+function verifyVerificationToken(token, { secret, purpose }) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed verification token');
+  }
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(hmac(`${header}.${payload}`, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new Error('Invalid verification token signature');
+  }
+
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  if (claims.iss !== ISSUER) {
+    throw new Error('Invalid verification token issuer');
+  }
+  if (claims.exp < Math.floor(Date.now() / 1000)) {
+    throw new Error('Verification token has expired');
+  }
+  if (purpose && claims.purpose !== purpose) {
+    throw new Error('Verification token purpose mismatch');
+  }
+  return claims;
+}
+
+module.exports = {
+  signVerificationToken,
+  verifyVerificationToken,
+};
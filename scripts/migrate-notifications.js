@@ -0,0 +1,75 @@
+/**
+ * Migrate notifications → schema v2 (lib/notification-schema.js)
+ *
+ *   npm run migrate:notifications -- --dry-run   # chỉ đếm, không ghi
+ *   npm run migrate:notifications
+ *
+ * Quét toàn bộ collection `notifications` theo document id (document thiếu field schemaVersion
+ * không khớp với query `!=`), ghi đè document cũ bằng bản v2 theo batch 500.
+ * Document không chuyển được (thiếu recipientId, type lạ, ...) được liệt kê ở cuối, không bị sửa.
+ * Chạy lại nhiều lần vẫn an toàn: document đã là v2 được bỏ qua.
+ */
+
+require('dotenv').config();
+const admin = require('firebase-admin');
+const { initializeFirebase } = require('../lib/firebase');
+const { NOTIFICATION_SCHEMA_VERSION, migrateNotification } = require('../lib/notification-schema');
+const { DEFAULT_LOCALE } = require('../lib/i18n');
+
+const BATCH_SIZE = 500;
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  initializeFirebase();
+  const db = admin.firestore();
+
+  const stats = { scanned: 0, migrated: 0, skipped: 0, invalid: [] };
+  let last = null;
+
+  for (;;) {
+    let page = db.collection('notifications').orderBy(admin.firestore.FieldPath.documentId()).limit(BATCH_SIZE);
+    if (last) page = page.startAfter(last);
+    const snapshot = await page.get();
+    if (snapshot.empty) break;
+
+    const batch = db.batch();
+    let writes = 0;
+    snapshot.docs.forEach((doc) => {
+      stats.scanned += 1;
+      const notification = doc.data();
+      if (notification.schemaVersion === NOTIFICATION_SCHEMA_VERSION) {
+        stats.skipped += 1;
+        return;
+      }
+      try {
+        batch.set(doc.ref, migrateNotification(notification, { defaultLocale: DEFAULT_LOCALE }));
+        writes += 1;
+      } catch (error) {
+        stats.invalid.push({ id: doc.id, errors: error.errors || [error.message] });
+      }
+    });
+
+    if (writes > 0 && !dryRun) await batch.commit();
+    stats.migrated += writes;
+    console.log(`… scanned ${stats.scanned}, ${dryRun ? 'would migrate' : 'migrated'} ${stats.migrated}`);
+
+    if (snapshot.size < BATCH_SIZE) break;
+    last = snapshot.docs[snapshot.size - 1];
+  }
+
+  console.log(`✅ Done${dryRun ? ' (dry run)' : ''}:`, {
+    scanned: stats.scanned,
+    migrated: stats.migrated,
+    skipped: stats.skipped,
+    invalid: stats.invalid.length,
+  });
+  stats.invalid.forEach(({ id, errors }) => console.warn(`⚠️ ${id}: ${errors.join('; ')}`));
+}
+
+main().then(
+  () => process.exit(0),
+  (error) => {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+);
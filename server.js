@@ -7,8 +7,46 @@ const express = require('express');
 const admin = require('firebase-admin');
 const cors = require('cors');
 const helmet = require('helmet');
-const { Resend } = require('resend');
+const crypto = require('crypto');
+const util = require('util');
 require('dotenv').config();
+const { createOtpStore, normalizeEmail } = require('./lib/otp-store');
+const { createRateLimiter } = require('./lib/rate-limiter');
+const { signVerificationToken, verifyVerificationToken } = require('./lib/verification-token');
+const { createEmailTransport } = require('./lib/email-transport');
+const { renderEmail } = require('./lib/email-templates');
+const {
+  normalizeLocale,
+  parseAcceptLanguage,
+  pickLocale,
+  t,
+  formatNotification,
+  formatAggregatedNotification,
+  DEFAULT_LOCALE,
+} = require('./lib/i18n');
+const {
+  QUIET_HOURS_MODES,
+  MAX_VIP_SENDERS,
+  isValidTimezone,
+  isValidTime,
+  normalizeQuietHours,
+  isWithinQuietHours,
+  getQuietHoursEnd,
+} = require('./lib/quiet-hours');
+const { parseRetentionPolicy, createNotificationRetention } = require('./lib/notification-retention');
+const { initializeFirebase } = require('./lib/firebase');
+const {
+  NOTIFICATION_TYPES,
+  createNotificationDocument,
+  getTarget,
+  migrateNotification,
+} = require('./lib/notification-schema');
+const { NOTIFICATION_TYPE_REGISTRY, buildPushPayload, buildInAppData } = require('./lib/notification-types');
+const { NAME_MAX_LENGTH, TEXT_MAX_LENGTH, VALIDATION_CODES, toDataString, validateRequest } = require('./lib/request-validation');
+const { JobFailedError, createJobStore, createJobQueue } = require('./lib/job-queue');
+const { DEFERRED_PUSH_JOB, enqueueDeferredPush, createDeferredPushHandler } = require('./lib/deferred-push');
+const { createIdempotencyStore } = require('./lib/idempotency-store');
+const { chunk, mapWithConcurrency } = require('./lib/batch');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -16,179 +54,1365 @@ const PORT = process.env.PORT || 3000;
 // =======================
 // Middleware
 // =======================
+// Render đứng sau 1 proxy → req.ip lấy từ X-Forwarded-For
+app.set('trust proxy', 1);
 app.use(helmet());
 app.use(cors());
 app.use(express.json());
 
 // =======================
-// OTP Storage (in-memory, sẽ reset khi server restart)
+// OTP Storage (xem lib/otp-store.js)
 // =======================
-const otpStore = new Map(); // email -> { otp, expiresAt, attempts }
+// OTP_STORE=firestore (mặc định, dùng chung giữa nhiều instance) | memory (test / local)
+const OTP_STORE_DRIVER = process.env.OTP_STORE || 'firestore';
 const OTP_EXPIRY_MINUTES = 5;
 const MAX_OTP_ATTEMPTS = 3;
+const OTP_LENGTH = 6;
+const OTP_HASH_BYTES = 32;
+
+// Mục đích của OTP: mã chỉ dùng được cho đúng purpose đã gửi
+// Nội dung email theo purpose: templates/email/otp/<locale>.json → variants
+const OTP_PURPOSES = ['signup', 'password_reset', 'email_change', 'login'];
+const DEFAULT_OTP_PURPOSE = 'signup'; // Client cũ không gửi purpose
+
+// Verification token trả về sau khi verify thành công (xem lib/verification-token.js)
+const OTP_TOKEN_TTL_SECONDS = parseInt(process.env.OTP_TOKEN_TTL_SECONDS, 10) || 10 * 60;
+// Secret ngẫu nhiên → Firebase Functions không verify được token, token mất hiệu lực mỗi lần restart
+// → chỉ chấp nhận khi chạy local, production thiếu secret thì dừng ngay
+if (!process.env.OTP_TOKEN_SECRET && (process.env.NODE_ENV === 'production' || process.env.RENDER)) {
+  console.error('❌ OTP_TOKEN_SECRET is required in production');
+  process.exit(1);
+}
+const OTP_TOKEN_SECRET = process.env.OTP_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.OTP_TOKEN_SECRET) {
+  console.warn('⚠️ OTP_TOKEN_SECRET not set - using a random secret, verification tokens will not survive restarts');
+}
+const scrypt = util.promisify(crypto.scrypt);
+
+// =======================
+// OTP Rate limits (sliding window, dùng chung backend với OTP store)
+// =======================
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// send + resend dùng chung 1 bộ đếm → resend không thể lách giới hạn
+const OTP_RATE_LIMITS = {
+  send: [
+    { scope: 'email', limit: 1, windowMs: MINUTE_MS },
+    { scope: 'email', limit: 5, windowMs: HOUR_MS },
+    { scope: 'daily', limit: parseInt(process.env.OTP_DAILY_CAP, 10) || 10, windowMs: DAY_MS },
+    { scope: 'ip', limit: 20, windowMs: HOUR_MS },
+    // Bảo vệ quota email provider
+    { scope: 'global', limit: parseInt(process.env.OTP_GLOBAL_LIMIT_PER_HOUR, 10) || 300, windowMs: HOUR_MS },
+  ],
+  verify: [
+    { scope: 'ip', limit: 30, windowMs: 10 * MINUTE_MS },
+  ],
+};
+
+// Bị TOO_MANY_ATTEMPTS quá số lần này trong cửa sổ → khoá email
+const OTP_LOCKOUT = { limit: 3, windowMs: HOUR_MS };
+
+// =======================
+// Device registry (multi-device FCM tokens)
+// =======================
+// users/{uid}.devices = { [deviceId]: { token, platform, appVersion, locale, lastSeenAt, active } }
+const DEVICE_STALE_DAYS = parseInt(process.env.DEVICE_STALE_DAYS, 10) || 60;
+const DEVICE_ID_REGEX = /^[A-Za-z0-9_-]{1,128}$/;
+const DEVICE_PLATFORMS = ['android', 'ios', 'web'];
+const LEGACY_DEVICE_ID = 'legacy';
+
+// Mã lỗi FCM → token không dùng được nữa (app bị gỡ / token bị revoke)
+const FCM_DEAD_TOKEN_CODES = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token',
+];
+// Token thuộc project/sender khác → đánh dấu, không xoá
+const FCM_MISMATCHED_TOKEN_CODES = [
+  'messaging/mismatched-credential',
+  'messaging/invalid-package-name',
+];
+// Lỗi tạm thời → có thể thử lại
+const FCM_RETRYABLE_CODES = [
+  'messaging/server-unavailable',
+  'messaging/internal-error',
+  'messaging/unknown-error',
+  'messaging/message-rate-exceeded',
+  'messaging/device-message-rate-exceeded',
+];
+// Gửi hàng loạt: FCM sendEach tối đa 500 message / lần, đọc user bằng Firestore getAll theo nhóm 500 document,
+// tối đa FANOUT_CONCURRENCY nhóm chạy song song (vd 10.000 follower = 20 lượt getAll, 4 lượt cùng lúc)
+const FCM_BATCH_SIZE = 500;
+const FIRESTORE_GET_ALL_SIZE = 500;
+const FANOUT_CONCURRENCY = parseInt(process.env.FANOUT_CONCURRENCY, 10) || 4;
+const BADGE_COUNT_CONCURRENCY = 20; // Số truy vấn đếm notification chưa đọc song song (badge iOS)
+// Mỗi user cần badge = 1 truy vấn count() → fan-out đông hơn mức này thì gửi không kèm badge
+// (badge được đồng bộ lại ở push sau / POST /api/badge/:userId/sync)
+const BADGE_COUNT_MAX_USERS = parseInt(process.env.BADGE_COUNT_MAX_USERS, 10) || 100;
+
+// Lỗi mạng / Firestore tạm thời (gRPC DEADLINE_EXCEEDED, RESOURCE_EXHAUSTED, ABORTED, INTERNAL, UNAVAILABLE)
+// → job gửi thông báo được thử lại
+const TRANSIENT_ERROR_CODES = [
+  4, 8, 10, 13, 14,
+  'deadline-exceeded', 'resource-exhausted', 'aborted', 'internal', 'unavailable',
+  'ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN',
+  'app/network-error', 'app/network-timeout',
+];
+
+// =======================
+// Notification preferences
+// =======================
+// users/{uid}.notificationPreferences = { [type]: { push: boolean, inApp: boolean } }
+// Không có cấu hình → mặc định bật tất cả. Các loại: NOTIFICATION_TYPES (lib/notification-schema.js)
+const NOTIFICATION_CHANNELS = ['push', 'inApp'];
+
+// Quiet hours (xem lib/quiet-hours.js): các loại khẩn cấp vẫn đổ chuông bình thường
+const QUIET_HOURS_BYPASS_TYPES = ['video_call'];
+
+// =======================
+// Notification aggregation
+// =======================
+// Reaction / comment / like vào cùng 1 bài viết (bình luận) trong cửa sổ thời gian
+// → 1 document trong `notifications` được cập nhật ("A, B và 12 người khác ...") và push thay thế push cũ
+// notification_groups/{hash} = { recipientId, type, groupId, notificationId, actorIds, windowStartedAt, expiresAt }
+const AGGREGATION_WINDOW_MS = (parseInt(process.env.AGGREGATION_WINDOW_MINUTES, 10) || 60) * MINUTE_MS;
+const MAX_AGGREGATED_ACTORS = 10; // Số người lưu kèm tên trong notification (actorCount vẫn đếm đủ)
+
+// Tin nhắn: 1 notification / chat / người nhận cho tới khi đọc, push đầu tiên gửi ngay,
+// các tin đến trong MESSAGE_DEBOUNCE_MS sau đó được gộp thành 1 push "3 tin nhắn mới"
+const MESSAGE_DEBOUNCE_MS = (parseInt(process.env.MESSAGE_DEBOUNCE_SECONDS, 10) || 3) * 1000;
+
+// =======================
+// Notification inbox
+// =======================
+const INBOX_DEFAULT_LIMIT = 20;
+const INBOX_MAX_LIMIT = 100;
+const INBOX_MAX_SCAN_ROUNDS = 5; // Số lần đọc tối đa cho 1 trang (khi phải bỏ qua notification đã lưu trữ)
+const INBOX_MAX_IDS = 500; // Giới hạn 1 batch write của Firestore
+
+// =======================
+// Notification retention (xem lib/notification-retention.js)
+// =======================
+// Chạy định kỳ trong process + trigger thủ công qua POST /api/admin/retention/run
+// NOTIFICATION_RETENTION_INTERVAL_HOURS=0 → tắt lịch chạy
+const RETENTION_INTERVAL_HOURS = process.env.NOTIFICATION_RETENTION_INTERVAL_HOURS === undefined
+  ? 24
+  : parseFloat(process.env.NOTIFICATION_RETENTION_INTERVAL_HOURS) || 0;
+const RETENTION_POLICY = parseRetentionPolicy();
+
+// =======================
+// Notification queue (xem lib/job-queue.js)
+// =======================
+// Các route gửi thông báo trả 202 + jobId, job chạy nền và được thử lại khi lỗi tạm thời
+// NOTIFICATION_QUEUE=firestore (mặc định, bền qua restart / nhiều instance) | memory (test / local)
+const NOTIFICATION_QUEUE_DRIVER = process.env.NOTIFICATION_QUEUE || 'firestore';
+const NOTIFICATION_QUEUE_CONCURRENCY = parseInt(process.env.NOTIFICATION_QUEUE_CONCURRENCY, 10) || 5;
+const NOTIFICATION_QUEUE_MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_QUEUE_MAX_ATTEMPTS, 10) || 5;
+const NOTIFICATION_QUEUE_POLL_MS = (parseInt(process.env.NOTIFICATION_QUEUE_POLL_SECONDS, 10) || 30) * 1000;
+// Hẹn giờ gửi (sendAt / delaySeconds): tối đa N ngày, sendAt trễ hơn SCHEDULE_PAST_TOLERANCE_MS (lệch giờ client) bị từ chối
+const NOTIFICATION_SCHEDULE_MAX_DAYS = parseInt(process.env.NOTIFICATION_SCHEDULE_MAX_DAYS, 10) || 30;
+const SCHEDULE_PAST_TOLERANCE_MS = MINUTE_MS;
+const SCHEDULED_DEFAULT_LIMIT = 20;
+const SCHEDULED_MAX_LIMIT = 100;
 
 // =======================
-// Email Service (Resend API - works on Render)
+// Idempotency (xem lib/idempotency-store.js, cùng driver với hàng đợi)
 // =======================
-const resend = new Resend(process.env.RESEND_API_KEY);
+// Header `Idempotency-Key`: request lặp lại với cùng key trong IDEMPOTENCY_KEY_TTL_HOURS giờ → trả job cũ
+// Không có header: request giống hệt (cùng người gọi, loại, body) trong IDEMPOTENCY_DEDUPE_SECONDS giây → coi là retry
+const IDEMPOTENCY_KEY_TTL_MS = (parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24) * HOUR_MS;
+const IDEMPOTENCY_DEDUPE_MS = (parseInt(process.env.IDEMPOTENCY_DEDUPE_SECONDS, 10) || 60) * 1000;
+const IDEMPOTENCY_KEY_REGEX = /^[\x21-\x7E]{1,255}$/; // ASCII in được, không khoảng trắng
+
+// =======================
+// Chat mute
+// =======================
+// Chats/{chatId}.mutes = { [uid]: { until: Timestamp | null, createdAt } } (until null = đến khi bật lại)
+// Chats/{chatId}.mutedUsers (cũ) vẫn được đọc như mute vĩnh viễn
+const CHAT_MUTE_DURATIONS = {
+  '1h': HOUR_MS,
+  '8h': 8 * HOUR_MS,
+  '24h': DAY_MS,
+  '7d': 7 * DAY_MS,
+  forever: null,
+};
+const MAX_CHAT_MUTE_MINUTES = 365 * 24 * 60;
+
+// =======================
+// Email Service (xem lib/email-transport.js)
+// =======================
+// EMAIL_TRANSPORTS="resend,smtp" → Resend trước, lỗi thì tự chuyển sang SMTP
+// Cấu hình email sai / thiếu chỉ tắt OTP (503), không làm sập cả server push
+let emailTransport = null;
+try {
+  emailTransport = createEmailTransport();
+  console.log(`📮 Email transport: ${emailTransport.name} (from: ${emailTransport.from})`);
+} catch (error) {
+  console.error('❌ Email transport unavailable - OTP routes will return 503:', error.message);
+}
 
 /**
- * Generate random 6-digit OTP
+ * Generate random OTP_LENGTH-digit OTP (CSPRNG), có thể bắt đầu bằng 0
  */
 function generateOTP() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
-}
-
-/**
- * Send OTP email using Resend API
- */
-async function sendOTPEmail(email, otp) {
-  const { data, error } = await resend.emails.send({
-    from: 'ChatLofi <onboarding@resend.dev>',
-    to: [email],
-    subject: '🔐 Mã xác thực OTP - ChatLofi',
-    html: `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="utf-8">
-        <style>
-          body { font-family: Arial, sans-serif; background-color: #f5f5f5; margin: 0; padding: 20px; }
-          .container { max-width: 500px; margin: 0 auto; background: white; border-radius: 10px; overflow: hidden; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
-          .header { background: linear-gradient(135deg, #006AF5, #0052CC); padding: 30px; text-align: center; }
-          .header h1 { color: white; margin: 0; font-size: 24px; }
-          .content { padding: 30px; text-align: center; }
-          .otp-code { background: #f0f8ff; border: 2px dashed #006AF5; border-radius: 10px; padding: 20px; margin: 20px 0; }
-          .otp-code h2 { color: #006AF5; font-size: 36px; letter-spacing: 8px; margin: 0; font-family: monospace; }
-          .warning { background: #fff3cd; border-left: 4px solid #ffc107; padding: 15px; margin: 20px 0; text-align: left; }
-          .footer { background: #f8f9fa; padding: 20px; text-align: center; color: #666; font-size: 12px; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h1>🔐 Xác Thực Email</h1>
-          </div>
-          <div class="content">
-            <p>Xin chào!</p>
-            <p>Bạn đang đăng ký tài khoản ChatLofi. Vui lòng sử dụng mã OTP bên dưới để xác thực email của bạn:</p>
-            <div class="otp-code">
-              <h2>${otp}</h2>
-            </div>
-            <div class="warning">
-              <strong>⚠️ Lưu ý:</strong>
-              <ul style="margin: 5px 0; padding-left: 20px;">
-                <li>Mã OTP có hiệu lực trong <strong>${OTP_EXPIRY_MINUTES} phút</strong></li>
-                <li>Không chia sẻ mã này với bất kỳ ai</li>
-                <li>Nếu bạn không yêu cầu mã này, vui lòng bỏ qua email</li>
-              </ul>
-            </div>
-          </div>
-          <div class="footer">
-            <p>© 2024 ChatLofi. All rights reserved.</p>
-            <p>Email này được gửi tự động, vui lòng không trả lời.</p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `,
-    text: `Mã OTP của bạn là: ${otp}\n\nMã có hiệu lực trong ${OTP_EXPIRY_MINUTES} phút.\nKhông chia sẻ mã này với bất kỳ ai.`,
-  });
+  return crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+}
 
-  if (error) {
-    throw new Error(error.message);
-  }
-  
-  return data;
+/**
+ * Hash OTP với salt ngẫu nhiên (scrypt) - store chỉ lưu hash, không lưu mã gốc
+ * @param {string} otp
+ * @returns {Promise<{otpHash: string, salt: string}>}
+ */
+async function hashOTP(otp) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(otp, salt, OTP_HASH_BYTES);
+  return { otpHash: hash.toString('hex'), salt };
+}
+
+/**
+ * So sánh OTP người dùng nhập với hash đã lưu (constant-time)
+ * @param {string} otp
+ * @param {{otpHash: string, salt: string}} record
+ * @returns {Promise<boolean>}
+ */
+async function verifyOTPHash(otp, record) {
+  if (!record?.otpHash || !record?.salt) return false;
+  const expected = Buffer.from(record.otpHash, 'hex');
+  const actual = await scrypt(otp, record.salt, OTP_HASH_BYTES);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Key lưu OTP: mỗi purpose có 1 mã riêng cho cùng 1 email
+ * @param {string} email
+ * @param {string} purpose
+ */
+function getOtpKey(email, purpose) {
+  return `${purpose}:${normalizeEmail(email)}`;
+}
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const OTP_EMAIL_RULE = {
+  type: 'string',
+  required: true,
+  maxLength: 254,
+  validate: (value) => EMAIL_REGEX.test(value) || 'must be a valid email address',
+};
+// purpose không truyền → DEFAULT_OTP_PURPOSE
+const OTP_SEND_SCHEMA = {
+  email: OTP_EMAIL_RULE,
+  purpose: { type: 'string', enum: OTP_PURPOSES },
+  locale: { type: 'string', maxLength: 35 },
+};
+const OTP_VERIFY_SCHEMA = {
+  email: OTP_EMAIL_RULE,
+  // Client gửi otp dạng số (012345 → 12345) vẫn verify được: validator thêm lại 0 đứng đầu
+  otp: { type: 'digits', required: true, length: OTP_LENGTH },
+  purpose: { type: 'string', enum: OTP_PURPOSES },
+};
+
+/**
+ * Send OTP email (qua email transport, có failover)
+ * @param {string} email
+ * @param {string} otp
+ * @param {string} [purpose='signup'] - Chọn nội dung email theo mục đích
+ * @param {string} [locale] - vi | en (xem resolveEmailLocale)
+ */
+async function sendOTPEmail(email, otp, purpose = DEFAULT_OTP_PURPOSE, locale) {
+  const { subject, html, text } = renderEmail('otp', {
+    locale,
+    variant: purpose,
+    params: { otp, expiryMinutes: OTP_EXPIRY_MINUTES },
+  });
+  return emailTransport.send({ to: email, subject, html, text });
 }
 
 // =======================
 // Firebase Admin Init
 // =======================
-let firebaseApp;
 try {
-  if (process.env.FIREBASE_SERVICE_ACCOUNT) {
-    // Render / Prod: dùng JSON trong env
-    const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
-    firebaseApp = admin.initializeApp({
-      credential: admin.credential.cert(serviceAccount),
-    });
-    console.log('✅ Firebase Admin initialized from FIREBASE_SERVICE_ACCOUNT');
-  } else if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
-    // Local: dùng file JSON qua GOOGLE_APPLICATION_CREDENTIALS
-    firebaseApp = admin.initializeApp({
-      credential: admin.credential.applicationDefault(),
-    });
-    console.log('✅ Firebase Admin initialized from GOOGLE_APPLICATION_CREDENTIALS');
-  } else {
-    throw new Error(
-      'No Firebase credentials found. Please set FIREBASE_SERVICE_ACCOUNT or GOOGLE_APPLICATION_CREDENTIALS'
-    );
-  }
+  initializeFirebase();
 } catch (error) {
   console.error('❌ Firebase Admin initialization failed:', error);
   process.exit(1);
 }
 
 const db = admin.firestore();
+const otpStore = createOtpStore({ driver: OTP_STORE_DRIVER, db });
+const rateLimiter = createRateLimiter({ driver: OTP_STORE_DRIVER, db });
+// jti của verification token đã dùng (POST /api/otp/token/consume), cùng backend với OTP store
+const consumedTokenStore = createIdempotencyStore({ driver: OTP_STORE_DRIVER, db });
+console.log(`🔐 OTP store: ${otpStore.driver}`);
+const retention = createNotificationRetention(db, { types: NOTIFICATION_TYPES, policy: RETENTION_POLICY });
+
+// =======================
+// Authentication
+// =======================
+// 2 loại caller:
+// - App (user): header `Authorization: Bearer <Firebase ID token>`
+// - Backend tin cậy (Cloud Functions, admin tools): header `x-api-key`, có scopes
+//
+// API_KEYS='[{"name":"functions","key":"...","scopes":["notify","devices"]}]'
+// API_KEY='...' (cũ) → 1 key với toàn quyền ("*")
+
+/**
+ * Đọc danh sách API keys từ env
+ * @returns {Array<{name: string, keyHash: Buffer, scopes: string[]}>}
+ */
+function loadApiKeys() {
+  const keys = [];
+
+  if (process.env.API_KEYS) {
+    try {
+      const parsed = JSON.parse(process.env.API_KEYS);
+      parsed
+        .filter((entry) => entry && typeof entry.key === 'string' && entry.key.length > 0)
+        .forEach((entry) => {
+          keys.push({
+            name: entry.name || 'unnamed',
+            keyHash: hashApiKey(entry.key),
+            scopes: Array.isArray(entry.scopes) ? entry.scopes : [],
+          });
+        });
+    } catch (error) {
+      console.error('❌ Invalid API_KEYS (must be a JSON array):', error.message);
+    }
+  }
+
+  if (process.env.API_KEY) {
+    keys.push({ name: 'default', keyHash: hashApiKey(process.env.API_KEY), scopes: ['*'] });
+  }
+
+  return keys;
+}
+
+/**
+ * Hash API key để so sánh constant-time (độ dài cố định)
+ * @param {string} key
+ * @returns {Buffer}
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+const apiKeys = loadApiKeys();
+console.log(`🔑 Loaded ${apiKeys.length} API key(s)`);
+
+/**
+ * Tìm API key khớp (so sánh constant-time)
+ * @param {string} key
+ * @returns {object|null}
+ */
+function findApiKey(key) {
+  const keyHash = hashApiKey(key);
+  return apiKeys.find((entry) => crypto.timingSafeEqual(entry.keyHash, keyHash)) || null;
+}
+
+/**
+ * Middleware xác thực cho từng route
+ * @param {object} options
+ * @param {string|string[]} options.scope - Scope API key cần có (vd: 'notify', 'send', 'devices'), mảng = 1 trong các scope
+ * @param {string} [options.actorField] - Field trong body phải trùng uid của user gọi (vd: 'senderId')
+ * @param {string} [options.actorParam] - Route param phải trùng uid của user gọi (vd: 'userId')
+ * @param {boolean} [options.allowUsers=true] - Cho phép Firebase ID token (false = chỉ API key)
+ */
+function authenticate({ scope, actorField, actorParam, allowUsers = true }) {
+  const scopes = Array.isArray(scope) ? scope : [scope];
+
+  return async (req, res, next) => {
+    try {
+      const apiKey = req.headers['x-api-key'];
+
+      if (apiKey) {
+        const entry = findApiKey(String(apiKey));
+        if (!entry) {
+          return res.status(401).json({ error: 'Unauthorized', code: 'INVALID_API_KEY' });
+        }
+        if (!entry.scopes.includes('*') && !scopes.some((item) => entry.scopes.includes(item))) {
+          return res.status(403).json({
+            error: 'Forbidden',
+            code: 'INSUFFICIENT_SCOPE',
+            requiredScope: scope,
+          });
+        }
+        req.auth = { type: 'api_key', name: entry.name, scopes: entry.scopes };
+        return next();
+      }
+
+      const authHeader = req.headers.authorization || '';
+      const match = authHeader.match(/^Bearer (.+)$/);
+
+      if (!match) {
+        return res.status(401).json({ error: 'Unauthorized', code: 'AUTH_REQUIRED' });
+      }
+
+      if (!allowUsers) {
+        return res.status(403).json({ error: 'Forbidden', code: 'API_KEY_REQUIRED' });
+      }
+
+      let decoded;
+      try {
+        decoded = await admin.auth().verifyIdToken(match[1]);
+      } catch (error) {
+        return res.status(401).json({
+          error: 'Unauthorized',
+          code: 'INVALID_TOKEN',
+          message: error.code === 'auth/id-token-expired' ? 'ID token has expired' : 'Invalid ID token',
+        });
+      }
+
+      // User chỉ được gửi thông báo với danh nghĩa của chính mình
+      if (actorField && req.body?.[actorField] !== decoded.uid) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          code: 'ACTOR_MISMATCH',
+          message: `${actorField} must match the authenticated user`,
+        });
+      }
+
+      if (actorParam && req.params?.[actorParam] !== decoded.uid) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          code: 'ACTOR_MISMATCH',
+          message: `${actorParam} must match the authenticated user`,
+        });
+      }
+
+      req.auth = { type: 'user', uid: decoded.uid };
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// =======================
+// OTP Rate limiting
+// =======================
+
+/**
+ * Trả 429 kèm header Retry-After
+ * @param {object} res
+ * @param {string} code - RATE_LIMITED | LOCKED_OUT
+ * @param {string} scope - email | daily | ip | global
+ * @param {number} retryAfterMs
+ */
+function sendRateLimited(res, code, scope, retryAfterMs) {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: code === 'LOCKED_OUT'
+      ? 'Too many failed attempts. This email is temporarily locked'
+      : 'Too many requests. Please wait before trying again',
+    code,
+    scope,
+    retryAfter,
+  });
+}
+
+/**
+ * Middleware giới hạn tần suất cho các route OTP
+ * - Kiểm tra lockout theo email
+ * - Kiểm tra và ghi nhận tất cả rule (email / daily / ip / global) atomic, chỉ ghi nhận khi tất cả đều qua
+ * @param {'send'|'verify'} action
+ */
+function otpRateLimit(action) {
+  return async (req, res, next) => {
+    try {
+      const email = typeof req.body?.email === 'string' ? normalizeEmail(req.body.email) : null;
+      const identifiers = { email, daily: email, ip: req.ip, global: 'all' };
+
+      if (email) {
+        const lock = await rateLimiter.check(`otp:lockout:${email}`, OTP_LOCKOUT);
+        if (!lock.allowed) {
+          return sendRateLimited(res, 'LOCKED_OUT', 'email', lock.retryAfterMs);
+        }
+      }
+
+      const rules = OTP_RATE_LIMITS[action]
+        .filter((rule) => identifiers[rule.scope])
+        .map((rule) => ({
+          ...rule,
+          key: `otp:${action}:${rule.scope}:${rule.windowMs}:${identifiers[rule.scope]}`,
+        }));
+
+      // Kiểm tra + ghi nhận trong 1 thao tác atomic → request đồng thời không cùng lọt qua trước khi được đếm
+      const { allowed, blockedIndex, results } = await rateLimiter.consumeMany(rules);
+
+      if (!allowed) {
+        const rule = rules[blockedIndex];
+        console.warn(`🚫 OTP ${action} rate limited (${rule.scope}) for ${email || req.ip}`);
+        return sendRateLimited(res, 'RATE_LIMITED', rule.scope, results[blockedIndex].retryAfterMs);
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
 
 // =======================
 // Helper functions
 // =======================
 
 /**
- * Lấy FCM token của user từ Firestore
+ * Locale đã lưu của user: users/{uid}.locale, nếu không có thì locale của thiết bị dùng gần nhất
+ * @param {object} userData
+ * @returns {string|null}
+ */
+function getUserLocale(userData) {
+  const profileLocale = normalizeLocale(userData?.locale);
+  if (profileLocale) return profileLocale;
+
+  const registry = userData?.devices && typeof userData.devices === 'object' ? userData.devices : {};
+  const latestDevice = Object.values(registry)
+    .filter((device) => normalizeLocale(device?.locale))
+    .sort((a, b) => (b.lastSeenAt?.toMillis?.() || 0) - (a.lastSeenAt?.toMillis?.() || 0))[0];
+  return latestDevice ? normalizeLocale(latestDevice.locale) : null;
+}
+
+/**
+ * Preferences đầy đủ của user (mọi loại thông báo, mọi kênh), mặc định là bật
+ * @param {object} userData
+ * @returns {Object<string, {push: boolean, inApp: boolean}>}
+ */
+function getNotificationPreferences(userData) {
+  const stored = userData?.notificationPreferences && typeof userData.notificationPreferences === 'object'
+    ? userData.notificationPreferences
+    : {};
+
+  return Object.fromEntries(
+    NOTIFICATION_TYPES.map((type) => [
+      type,
+      Object.fromEntries(
+        NOTIFICATION_CHANNELS.map((channel) => [channel, stored[type]?.[channel] !== false])
+      ),
+    ])
+  );
+}
+
+/**
+ * Kênh nào được bật cho 1 loại thông báo
+ * @param {object} preferences - Kết quả getNotificationPreferences
+ * @param {string} type
+ * @returns {{push: boolean, inApp: boolean}}
+ */
+function getChannelPreferences(preferences, type) {
+  return preferences?.[type] || { push: true, inApp: true };
+}
+
+/**
+ * Cách gửi push cho 1 người nhận theo quiet hours của họ
+ * - immediate: ngoài quiet hours, loại khẩn cấp (video_call) hoặc người gửi nằm trong vipSenders
+ * - silenced:  trong quiet hours, mode 'silent' → push không chuông/rung
+ * - deferred:  trong quiet hours, mode 'defer' → push được hẹn gửi lúc quiet hours kết thúc (xem deferPush)
+ * @param {object} quietHours - Kết quả normalizeQuietHours
+ * @param {object} options
+ * @param {string} options.type - Loại thông báo
+ * @param {string} [options.senderId]
+ * @param {Date} [options.now]
+ * @returns {'immediate'|'silenced'|'deferred'}
+ */
+function getQuietHoursDelivery(quietHours, { type, senderId, now = new Date() }) {
+  if (!isWithinQuietHours(quietHours, now)) return 'immediate';
+  if (QUIET_HOURS_BYPASS_TYPES.includes(type)) return 'immediate';
+  if (senderId && quietHours.vipSenders.includes(senderId)) return 'immediate';
+  return quietHours.mode === 'defer' ? 'deferred' : 'silenced';
+}
+
+/**
+ * Ai đang mute chat, và mute nào đã hết hạn (cần dọn)
+ * @param {object} chatData - Chats/{chatId}
+ * @param {number} [now] - epoch ms
+ * @returns {{mutedIds: string[], expiredIds: string[], mutedUntil: Object<string, Date|null>}}
+ */
+function getChatMuteState(chatData, now = Date.now()) {
+  const legacyMuted = Array.isArray(chatData?.mutedUsers) ? chatData.mutedUsers : [];
+  const mutes = chatData?.mutes && typeof chatData.mutes === 'object' ? chatData.mutes : {};
+
+  const mutedUntil = Object.fromEntries(legacyMuted.map((uid) => [uid, null]));
+  const expiredIds = [];
+
+  Object.entries(mutes).forEach(([uid, mute]) => {
+    const until = mute?.until?.toDate?.() || null;
+    if (until && until.getTime() <= now) {
+      expiredIds.push(uid);
+      return;
+    }
+    // Mute vĩnh viễn trong mảng cũ luôn thắng
+    if (!(uid in mutedUntil)) mutedUntil[uid] = until;
+  });
+
+  return { mutedIds: Object.keys(mutedUntil), expiredIds, mutedUntil };
+}
+
+/**
+ * Xoá các mute đã hết hạn khỏi chat (không chặn request nếu lỗi)
+ * @param {string} chatId
+ * @param {string[]} expiredIds
+ */
+async function cleanupExpiredChatMutes(chatId, expiredIds) {
+  if (expiredIds.length === 0) return;
+  try {
+    await db.collection('Chats').doc(chatId).update(
+      ...expiredIds.flatMap((uid) => [
+        new admin.firestore.FieldPath('mutes', uid),
+        admin.firestore.FieldValue.delete(),
+      ])
+    );
+    console.log(`🔔 Chat ${chatId}: removed ${expiredIds.length} expired mute(s)`);
+  } catch (error) {
+    console.error(`Failed to clean up expired mutes for chat ${chatId}:`, error.message);
+  }
+}
+
+/**
+ * Đọc chat và kiểm tra userId là thành viên
+ * @param {string} chatId
+ * @param {string} userId
+ * @returns {Promise<{chatRef: object, chatData: object}|{status: number, body: object}>}
+ */
+async function getChatForMember(chatId, userId) {
+  const chatRef = db.collection('Chats').doc(chatId);
+  const chatDoc = await chatRef.get();
+
+  if (!chatDoc.exists) {
+    return { status: 404, body: { error: 'Chat not found' } };
+  }
+
+  const chatData = chatDoc.data();
+  const memberIds = Array.isArray(chatData.UID) ? chatData.UID : [];
+  if (!memberIds.includes(userId)) {
+    return { status: 403, body: { error: 'Forbidden', code: 'NOT_A_MEMBER' } };
+  }
+
+  return { chatRef, chatData };
+}
+
+/**
+ * Chọn ngôn ngữ cho email gửi tới 1 địa chỉ:
+ * body.locale → profile của user có email đó → header Accept-Language → mặc định (vi)
+ * @param {object} req
+ * @param {string} email
+ * @returns {Promise<string>}
+ */
+async function resolveEmailLocale(req, email) {
+  const requested = normalizeLocale(req.body?.locale);
+  if (requested) return requested;
+
+  try {
+    const userRecord = await admin.auth().getUserByEmail(email);
+    const userDoc = await db.collection('users').doc(userRecord.uid).get();
+    const profileLocale = userDoc.exists ? getUserLocale(userDoc.data()) : null;
+    if (profileLocale) return profileLocale;
+  } catch (error) {
+    // Email chưa có tài khoản (vd: signup) → bỏ qua
+    if (error.code !== 'auth/user-not-found') {
+      console.warn('⚠️ Could not read user locale:', error.message);
+    }
+  }
+
+  return pickLocale(parseAcceptLanguage(req.headers['accept-language']));
+}
+
+/**
+ * Tạo device ID ổn định cho 1 token.
+ * Ưu tiên deviceId do app gửi lên, nếu không có thì hash token.
+ * @param {string} token
+ * @param {string} [deviceId]
+ * @returns {string}
+ */
+function getDeviceId(token, deviceId) {
+  if (typeof deviceId === 'string' && DEVICE_ID_REGEX.test(deviceId)) {
+    return deviceId;
+  }
+  return crypto.createHash('sha256').update(token).digest('hex').slice(0, 32);
+}
+
+/**
+ * Lấy danh sách thiết bị đang hoạt động từ user document.
+ * - Đọc map `devices` (multi-device registry)
+ * - Bỏ qua thiết bị đã tắt (active: false) hoặc lâu không online (> DEVICE_STALE_DAYS)
+ * - Fallback: field cũ `fcmToken` cho các client chưa cập nhật
+ * @param {object} userData
+ * @returns {Array<{id: string, token: string, platform?: string, legacy?: boolean}>}
+ */
+function getActiveDevices(userData) {
+  const registry = userData?.devices && typeof userData.devices === 'object' ? userData.devices : {};
+  const staleBefore = Date.now() - DEVICE_STALE_DAYS * 24 * 60 * 60 * 1000;
+
+  const devices = Object.entries(registry)
+    .map(([id, device]) => ({ id, ...device }))
+    .filter((device) => typeof device.token === 'string' && device.token.trim().length > 0)
+    .filter((device) => device.active !== false)
+    .filter((device) => {
+      const lastSeen = device.lastSeenAt?.toMillis?.() || 0;
+      return !lastSeen || lastSeen >= staleBefore;
+    });
+
+  // Legacy: users.fcmToken (1 token duy nhất)
+  const legacyToken = userData?.fcmToken;
+  if (
+    typeof legacyToken === 'string' &&
+    legacyToken.trim().length > 0 &&
+    !devices.some((device) => device.token === legacyToken)
+  ) {
+    devices.push({ id: LEGACY_DEVICE_ID, token: legacyToken, legacy: true });
+  }
+
+  return devices;
+}
+
+/**
+ * Thiết bị, ngôn ngữ và preferences từ document users/{uid}
  * @param {string} userId
- * @returns {Promise<{fcmToken: string|null, exists: boolean}>}
+ * @param {FirebaseFirestore.DocumentSnapshot} userDoc
+ * @returns {{devices: Array<object>, exists: boolean, locale: string, preferences: object, quietHours: object}}
  */
-async function getUserFcmToken(userId) {
-  const userDoc = await db.collection('users').doc(userId).get();
+function toUserDevices(userId, userDoc) {
   if (!userDoc.exists) {
-    return { fcmToken: null, exists: false };
+    return {
+      devices: [],
+      exists: false,
+      locale: DEFAULT_LOCALE,
+      preferences: getNotificationPreferences(null),
+      quietHours: normalizeQuietHours(null),
+    };
   }
-  const fcmToken = userDoc.data()?.fcmToken || null;
-  return { fcmToken, exists: true };
+  const userData = userDoc.data();
+  const devices = getActiveDevices(userData).map((device) => ({ ...device, userId }));
+  return {
+    devices,
+    exists: true,
+    locale: pickLocale(getUserLocale(userData)),
+    preferences: getNotificationPreferences(userData),
+    quietHours: normalizeQuietHours(userData.quietHours),
+  };
+}
+
+/**
+ * Lấy tất cả thiết bị (FCM tokens) đang hoạt động, ngôn ngữ và preferences của user từ Firestore
+ * @param {string} userId
+ * @returns {Promise<{devices: Array<object>, exists: boolean, locale: string, preferences: object, quietHours: object}>}
+ */
+async function getUserDevices(userId) {
+  return toUserDevices(userId, await db.collection('users').doc(userId).get());
+}
+
+/**
+ * Như getUserDevices cho nhiều user: đọc bằng getAll theo nhóm FIRESTORE_GET_ALL_SIZE
+ * (1 round-trip / nhóm thay vì 1 / user)
+ * @param {string[]} userIds
+ * @returns {Promise<Array<{uid: string, devices: Array<object>, exists: boolean, locale: string, preferences: object, quietHours: object}>>} Cùng thứ tự với userIds
+ */
+async function getUsersDevices(userIds) {
+  const batches = await mapWithConcurrency(chunk(userIds, FIRESTORE_GET_ALL_SIZE), FANOUT_CONCURRENCY, (ids) =>
+    db.getAll(...ids.map((uid) => db.collection('users').doc(uid)))
+  );
+  return batches.flat().map((userDoc, i) => ({ uid: userIds[i], ...toUserDevices(userIds[i], userDoc) }));
+}
+
+/**
+ * Phân loại lỗi FCM để quyết định xử lý token
+ * @param {Error & {code?: string}} error
+ * @returns {'dead_token'|'mismatched_token'|'retryable'|'fatal'}
+ */
+function classifyFcmError(error) {
+  const code = error?.code || '';
+  if (FCM_DEAD_TOKEN_CODES.includes(code)) return 'dead_token';
+  if (FCM_MISMATCHED_TOKEN_CODES.includes(code)) return 'mismatched_token';
+  if (FCM_RETRYABLE_CODES.includes(code)) return 'retryable';
+  return 'fatal';
+}
+
+/**
+ * Dọn các token chết sau khi gửi:
+ * - dead_token: xoá khỏi registry (và field legacy fcmToken nếu trùng)
+ * - mismatched_token: giữ lại nhưng đánh dấu active: false để điều tra
+ * @param {Array<{device: object, errorClass: string, code: string}>} failures
+ * @returns {Promise<Map<object, string>>} device -> action ('removed' | 'flagged')
+ */
+async function pruneDeadTokens(failures) {
+  const actions = new Map();
+  const byUser = new Map();
+
+  failures
+    .filter((f) => f.device.userId && ['dead_token', 'mismatched_token'].includes(f.errorClass))
+    .forEach((f) => {
+      if (!byUser.has(f.device.userId)) byUser.set(f.device.userId, []);
+      byUser.get(f.device.userId).push(f);
+    });
+
+  await Promise.all(
+    Array.from(byUser.entries()).map(async ([userId, userFailures]) => {
+      const updates = [];
+      userFailures.forEach(({ device, errorClass, code }) => {
+        if (device.legacy) {
+          // Legacy token chỉ có thể xoá (không có chỗ để flag)
+          updates.push('fcmToken', admin.firestore.FieldValue.delete());
+          actions.set(device, 'removed');
+        } else if (errorClass === 'dead_token') {
+          updates.push(
+            new admin.firestore.FieldPath('devices', device.id),
+            admin.firestore.FieldValue.delete()
+          );
+          actions.set(device, 'removed');
+        } else {
+          updates.push(
+            new admin.firestore.FieldPath('devices', device.id, 'active'),
+            false,
+            new admin.firestore.FieldPath('devices', device.id, 'invalidReason'),
+            code
+          );
+          actions.set(device, 'flagged');
+        }
+      });
+
+      try {
+        await db.collection('users').doc(userId).update(...updates);
+        console.log(`🧹 Pruned ${userFailures.length} dead token(s) for ${userId}`);
+      } catch (error) {
+        console.error(`❌ Error pruning tokens for ${userId}:`, error);
+        userFailures.forEach(({ device }) => actions.delete(device));
+      }
+    })
+  );
+
+  return actions;
+}
+
+/**
+ * Document notification mới theo schema v2 (lib/notification-schema.js), chưa đọc, chưa lưu trữ
+ * @param {object} notification - recipientId, type, title, body, locale, actor, target, aggregation, data
+ * @throws {NotificationValidationError} Khi document sai schema
+ */
+function buildNotificationDocument(notification) {
+  return {
+    ...createNotificationDocument({ locale: DEFAULT_LOCALE, ...notification }),
+    read: false,
+    archived: false,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
 }
 
 /**
  * Lưu notification vào Firestore để hiển thị trong Notifications Screen
- * @param {string} recipientId - ID người nhận
- * @param {string} type - Loại thông báo (message, friend_request, post_reaction, etc.)
- * @param {string} title - Tiêu đề thông báo
- * @param {string} body - Nội dung thông báo
- * @param {object} data - Dữ liệu bổ sung (senderId, postId, roomId, etc.)
+ * @param {object} notification
+ * @param {string} notification.recipientId - ID người nhận
+ * @param {string} notification.type - Loại thông báo (NOTIFICATION_TYPES)
+ * @param {string} notification.title - Tiêu đề thông báo
+ * @param {string} notification.body - Nội dung thông báo
+ * @param {string} [notification.locale] - Ngôn ngữ của title/body (theo người nhận)
+ * @param {{id: string, name?: string}} [notification.actor] - Người gây ra thông báo
+ * @param {{kind: string, id: string, postId?: string}|null} [notification.target] - Xem getTarget
+ * @param {object} [notification.data] - Field riêng theo loại (reactionType, commentText, ...)
+ * @returns {Promise<string|null>} ID notification, null khi lỗi
  */
-async function saveNotificationToFirestore(recipientId, type, title, body, data = {}) {
+async function saveNotificationToFirestore(notification) {
   try {
-    // Remove undefined values from data object
-    const cleanData = Object.fromEntries(
-      Object.entries(data).filter(([_, value]) => value !== undefined && value !== null)
-    );
-    
     const notificationRef = db.collection('notifications').doc();
-    await notificationRef.set({
-      recipientId,
-      type,
-      title,
-      body,
-      data: cleanData,
-      read: false,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-    });
+    await notificationRef.set(buildNotificationDocument(notification));
     console.log('✅ Notification saved to Firestore:', notificationRef.id);
     return notificationRef.id;
   } catch (error) {
-    console.error('❌ Error saving notification to Firestore:', error);
+    console.error(`❌ Error saving ${notification.type} notification to Firestore:`, error.errors || error);
     return null;
   }
 }
 
 /**
- * Gửi 1 message FCM
+ * Số notification chưa đọc của user (dùng làm badge trên iOS)
+ * @param {string} userId
+ * @param {string[]} [types] - Chỉ đếm các loại này
+ * @returns {Promise<number>}
+ */
+async function getUnreadCount(userId, types) {
+  let query = db
+    .collection('notifications')
+    .where('recipientId', '==', userId)
+    .where('read', '==', false);
+  if (types?.length) {
+    query = query.where('type', 'in', types);
+  }
+  const snapshot = await query.count().get();
+  return snapshot.data().count;
+}
+
+/**
+ * Notification trả về cho client
+ * @param {FirebaseFirestore.DocumentSnapshot} doc
+ */
+function serializeNotification(doc) {
+  const toIso = (value) => value?.toDate?.().toISOString() || null;
+  // Document cũ (chưa chạy scripts/migrate-notifications.js) được chuyển sang v2 khi đọc
+  let notification = doc.data();
+  try {
+    notification = migrateNotification(notification);
+  } catch (error) {
+    console.warn(`⚠️ Cannot migrate notification ${doc.id}:`, error.message);
+  }
+
+  return {
+    id: doc.id,
+    schemaVersion: notification.schemaVersion || 1,
+    type: notification.type,
+    title: notification.title,
+    body: notification.body,
+    actor: notification.actor || null,
+    target: notification.target || null,
+    aggregation: notification.aggregation || null,
+    data: notification.data || {},
+    locale: notification.locale || null,
+    read: notification.read === true,
+    archived: notification.archived === true,
+    createdAt: toIso(notification.createdAt),
+    updatedAt: toIso(notification.updatedAt) || toIso(notification.createdAt),
+    readAt: toIso(notification.readAt),
+  };
+}
+
+/**
+ * Danh sách notification của user, mới nhất trước, phân trang bằng cursor (id của phần tử cuối trang trước)
+ * @param {string} userId
+ * @param {object} options
+ * @param {number} options.limit
+ * @param {FirebaseFirestore.DocumentSnapshot} [options.cursorDoc]
+ * @param {string[]} [options.types]
+ * @param {boolean} [options.unreadOnly]
+ * @param {boolean} [options.archived] - true: chỉ lấy notification đã lưu trữ, false: bỏ qua chúng
+ * @returns {Promise<{items: Array<object>, nextCursor: string|null}>}
+ */
+async function listNotifications(userId, { limit, cursorDoc, types, unreadOnly, archived }) {
+  let query = db.collection('notifications').where('recipientId', '==', userId);
+  if (types?.length) query = query.where('type', 'in', types);
+  if (unreadOnly) query = query.where('read', '==', false);
+  if (archived) query = query.where('archived', '==', true);
+  query = query.orderBy('createdAt', 'desc');
+
+  // Document cũ không có field `archived` → không lọc được bằng query, lọc sau khi đọc
+  const docs = [];
+  let last = cursorDoc || null;
+  let exhausted = false;
+  for (let round = 0; round < INBOX_MAX_SCAN_ROUNDS && docs.length <= limit && !exhausted; round += 1) {
+    let page = query.limit(limit + 1);
+    if (last) page = page.startAfter(last);
+    const snapshot = await page.get();
+    snapshot.docs
+      .filter((doc) => archived || doc.data().archived !== true)
+      .forEach((doc) => docs.push(doc));
+    exhausted = snapshot.size < limit + 1;
+    last = snapshot.docs[snapshot.size - 1] || last;
+  }
+
+  const items = docs.slice(0, limit);
+  let nextCursor = null;
+  if (docs.length > limit) {
+    nextCursor = items[items.length - 1].id;
+  } else if (!exhausted && last) {
+    // Hết số vòng quét mà chưa đủ trang → client đọc tiếp từ document cuối đã quét
+    nextCursor = last.id;
+  }
+
+  return { items: items.map(serializeNotification), nextCursor };
+}
+
+// Filter `type` (vd "post_comment,mention" hoặc mảng), Firestore giới hạn 10 giá trị cho 'in'
+const TYPE_FILTER_RULE = { type: 'list', enum: NOTIFICATION_TYPES, maxItems: 10 };
+const NOTIFICATION_IDS_RULE = { type: 'array', required: true, minItems: 1, maxItems: INBOX_MAX_IDS, items: { type: 'id' } };
+
+/**
+ * Đọc các notification theo id, chỉ giữ những cái thuộc về user
+ * @param {string} userId
+ * @param {string[]} ids
+ * @returns {Promise<{found: FirebaseFirestore.DocumentSnapshot[], notFound: string[]}>}
+ */
+async function getOwnNotifications(userId, ids) {
+  const refs = ids.map((id) => db.collection('notifications').doc(id));
+  const docs = await db.getAll(...refs);
+  const found = docs.filter((doc) => doc.exists && doc.data().recipientId === userId);
+  return {
+    found,
+    notFound: ids.filter((id) => !found.some((doc) => doc.id === id)),
+  };
+}
+
+/**
+ * Badge cho từng user có thiết bị không phải Android (Android không dùng aps.badge)
+ * Lỗi khi đếm → bỏ qua badge của user đó (không chặn việc gửi push)
+ * Quá BADGE_COUNT_MAX_USERS user → không đếm (Map rỗng), tránh hàng nghìn truy vấn cho 1 lần fan-out
+ * @param {Array<{userId?: string, platform?: string}>} devices
+ * @returns {Promise<Map<string, number>>}
+ */
+async function getBadgeCounts(devices) {
+  const userIds = [...new Set(
+    devices.filter((device) => device.userId && device.platform !== 'android').map((device) => device.userId)
+  )];
+
+  if (userIds.length > BADGE_COUNT_MAX_USERS) {
+    console.log(`⏭️ Skipping badge counts for ${userIds.length} recipients (max ${BADGE_COUNT_MAX_USERS})`);
+    return new Map();
+  }
+
+  const counts = await mapWithConcurrency(userIds, BADGE_COUNT_CONCURRENCY, (userId) =>
+    getUnreadCount(userId).catch((error) => {
+      console.error(`❌ Error counting unread notifications for ${userId}:`, error.message);
+      return null;
+    })
+  );
+
+  return new Map(userIds.map((userId, i) => [userId, counts[i]]).filter(([, count]) => count !== null));
+}
+
+/**
+ * Collapse key cho push gộp (Android collapseKey/tag, APNs apns-collapse-id tối đa 64 bytes)
+ * @param {string} type
+ * @param {string} groupId
+ * @returns {string}
+ */
+function getCollapseKey(type, groupId) {
+  const key = `${type}:${groupId}`;
+  return Buffer.byteLength(key) <= 64 ? key : crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Document trạng thái của 1 nhóm notification (notification_groups)
+ * @param {string} recipientId
+ * @param {string} type
+ * @param {string} groupId
+ */
+function getNotificationGroupRef(recipientId, type, groupId) {
+  return db
+    .collection('notification_groups')
+    .doc(crypto.createHash('sha256').update(`${recipientId}:${type}:${groupId}`).digest('hex'));
+}
+
+/**
+ * Lưu notification có gộp theo nhóm (vd mọi reaction vào 1 bài viết).
+ * Trong cửa sổ AGGREGATION_WINDOW_MS và khi user chưa đọc → cập nhật document cũ,
+ * ngược lại tạo document mới.
+ * @param {object} options
+ * @param {string} options.recipientId
+ * @param {string} options.type
+ * @param {string} options.groupId - vd postId, commentId
+ * @param {{id: string, name?: string}} options.actor - Người vừa tương tác
+ * @param {{kind: string, id: string, postId?: string}|null} options.target - Xem getTarget
+ * @param {object} [options.data] - Field riêng theo loại lưu kèm notification
+ * @param {string} options.locale
+ * @param {boolean} [options.saveInApp=true] - false: chỉ đếm người để tạo nội dung push, không lưu notification
+ * @param {() => {title: string, body: string}} options.formatSingle - Nội dung khi chỉ có 1 người
+ * @returns {Promise<{notificationId: string|null, title: string, body: string, actorCount: number, aggregated: boolean, collapseKey: string}>}
+ */
+async function saveAggregatedNotification({ recipientId, type, groupId, actor, target, data = {}, locale, saveInApp = true, formatSingle }) {
+  const collapseKey = getCollapseKey(type, groupId);
+  const groupRef = getNotificationGroupRef(recipientId, type, groupId);
+
+  try {
+    return await db.runTransaction(async (tx) => {
+      const now = Date.now();
+      const groupDoc = await tx.get(groupRef);
+      const group = groupDoc.exists ? groupDoc.data() : null;
+      const inWindow = Boolean(group) && (group.windowStartedAt?.toMillis?.() || 0) > now - AGGREGATION_WINDOW_MS;
+
+      // Notification cũ chỉ được cập nhật khi user chưa đọc
+      let notificationRef = null;
+      let previous = null;
+      if (inWindow && saveInApp && group.notificationId) {
+        notificationRef = db.collection('notifications').doc(group.notificationId);
+        const notificationDoc = await tx.get(notificationRef);
+        previous = notificationDoc.exists && !notificationDoc.data().read ? notificationDoc.data() : null;
+      }
+      const continueGroup = saveInApp ? Boolean(previous) : inWindow;
+
+      const actorIds = continueGroup
+        ? [actor.id, ...(group.actorIds || []).filter((id) => id !== actor.id)]
+        : [actor.id];
+      const actors = [
+        { id: actor.id, name: actor.name || null },
+        ...(continueGroup ? previous?.aggregation?.actors || group.actors || [] : []).filter((a) => a.id !== actor.id),
+      ].slice(0, MAX_AGGREGATED_ACTORS);
+
+      const { title, body } = actorIds.length > 1
+        ? formatAggregatedNotification(
+          locale,
+          type,
+          actors.map((a) => a.name || t(locale, 'common.user')),
+          actorIds.length
+        )
+        : formatSingle();
+
+      let notificationId = null;
+      if (saveInApp) {
+        const notification = {
+          recipientId,
+          type,
+          title,
+          body,
+          locale,
+          actor,
+          target,
+          aggregation: { key: collapseKey, count: actorIds.length, actors },
+          data,
+        };
+        if (previous) {
+          tx.update(notificationRef, {
+            ...createNotificationDocument(notification),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+        } else {
+          notificationRef = db.collection('notifications').doc();
+          tx.set(notificationRef, buildNotificationDocument(notification));
+        }
+        notificationId = notificationRef.id;
+      }
+
+      const windowStartedAt = continueGroup ? group.windowStartedAt : admin.firestore.Timestamp.fromMillis(now);
+      tx.set(groupRef, {
+        recipientId,
+        type,
+        groupId,
+        notificationId,
+        actorIds,
+        actors,
+        windowStartedAt,
+        expiresAt: admin.firestore.Timestamp.fromMillis(windowStartedAt.toMillis() + AGGREGATION_WINDOW_MS),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      return { notificationId, title, body, actorCount: actorIds.length, aggregated: actorIds.length > 1, collapseKey };
+    });
+  } catch (error) {
+    // Không gộp được → lưu như notification thường
+    console.error(`❌ Error aggregating ${type} notification for ${recipientId}:`, error.message);
+    const { title, body } = formatSingle();
+    const notificationId = saveInApp
+      ? await saveNotificationToFirestore({ recipientId, type, title, body, locale, actor, target, data })
+      : null;
+    return { notificationId, title, body, actorCount: 1, aggregated: false, collapseKey };
+  }
+}
+
+/**
+ * Gộp tin nhắn của 1 chat cho 1 người nhận:
+ * - Notification in-app: 1 document / chat cho tới khi user đọc (body = tin mới nhất, aggregation.count = số tin)
+ * - unreadCount: số tin từ lần đọc gần nhất
+ * - Debounce push: đã push trong MESSAGE_DEBOUNCE_MS → không push ngay mà hẹn 1 lần flush
+ * @param {object} options
+ * @param {string} options.recipientId
+ * @param {string} options.chatId
+ * @param {{senderId: string, senderName?: string, text?: string, messageId?: string}} options.message
+ * @param {string} options.locale
+ * @param {(locale: string) => {title: string, body: string}} options.buildText - Nội dung của tin mới nhất
+ * @param {boolean} options.saveInApp
+ * @param {boolean} options.push - Người nhận có được push không (không mute, bật push)
+ * @returns {Promise<{notificationId: string|null, unreadCount: number, pushNow: boolean, flushAt: number|null, collapseKey: string}>}
+ */
+async function coalesceMessageNotification({ recipientId, chatId, message, locale, buildText, saveInApp, push }) {
+  const collapseKey = getCollapseKey('new_message', chatId);
+  const groupRef = getNotificationGroupRef(recipientId, 'new_message', chatId);
+  const { title, body } = buildText(locale);
+  const data = Object.fromEntries(
+    Object.entries({ roomId: chatId, ...message }).filter(([_, value]) => value !== undefined && value !== null)
+  );
+  const notification = {
+    recipientId,
+    type: 'new_message',
+    title,
+    body,
+    locale,
+    actor: { id: message.senderId, name: message.senderName },
+    target: getTarget('new_message', { roomId: chatId }),
+    // Giữ roomId / senderId / senderName như bản cũ (giai đoạn chuyển tiếp)
+    data,
+  };
+
+  try {
+    return await db.runTransaction(async (tx) => {
+      const now = Date.now();
+      const groupDoc = await tx.get(groupRef);
+      const group = groupDoc.exists ? groupDoc.data() : null;
+
+      // Notification cũ chỉ được gộp tiếp khi user chưa đọc
+      let notificationRef = null;
+      let previous = null;
+      if (saveInApp && group?.notificationId) {
+        notificationRef = db.collection('notifications').doc(group.notificationId);
+        const notificationDoc = await tx.get(notificationRef);
+        previous = notificationDoc.exists && !notificationDoc.data().read ? notificationDoc.data() : null;
+      }
+
+      // Không lưu in-app thì không biết lúc nào đã đọc → reset sau cửa sổ gộp
+      const lastMessageAt = group?.lastMessageAt?.toMillis?.() || 0;
+      const continueGroup = saveInApp ? Boolean(previous) : lastMessageAt > now - AGGREGATION_WINDOW_MS;
+      const unreadCount = (continueGroup ? group.unreadCount || 0 : 0) + 1;
+
+      let notificationId = null;
+      if (saveInApp) {
+        const aggregated = { ...notification, aggregation: { key: collapseKey, count: unreadCount } };
+        if (previous) {
+          tx.update(notificationRef, {
+            ...createNotificationDocument(aggregated),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+        } else {
+          notificationRef = db.collection('notifications').doc();
+          tx.set(notificationRef, buildNotificationDocument(aggregated));
+        }
+        notificationId = notificationRef.id;
+      }
+
+      // Debounce: push ngay nếu lần push trước đã quá MESSAGE_DEBOUNCE_MS,
+      // ngược lại hẹn flush (chỉ 1 lần; flush bị treo quá lâu do instance chết thì bỏ qua)
+      const lastPushAt = group?.lastPushAt?.toMillis?.() || 0;
+      const pendingPushAt = group?.pendingPushAt?.toMillis?.() || 0;
+      const hasPending = pendingPushAt > now - MESSAGE_DEBOUNCE_MS;
+      let pushNow = false;
+      let flushAt = null;
+      if (push && !hasPending && lastPushAt <= now - MESSAGE_DEBOUNCE_MS) {
+        pushNow = true;
+      } else if (push && !hasPending) {
+        flushAt = lastPushAt + MESSAGE_DEBOUNCE_MS;
+      }
+
+      tx.set(groupRef, {
+        recipientId,
+        type: 'new_message',
+        groupId: chatId,
+        notificationId,
+        unreadCount,
+        lastMessage: data,
+        lastMessageAt: admin.firestore.Timestamp.fromMillis(now),
+        lastPushAt: pushNow ? admin.firestore.Timestamp.fromMillis(now) : group?.lastPushAt || null,
+        pendingPushAt: flushAt
+          ? admin.firestore.Timestamp.fromMillis(flushAt)
+          : hasPending ? group.pendingPushAt : null,
+        expiresAt: admin.firestore.Timestamp.fromMillis(now + AGGREGATION_WINDOW_MS),
+      });
+
+      return { notificationId, unreadCount, pushNow, flushAt, collapseKey };
+    });
+  } catch (error) {
+    // Không gộp được → lưu như notification thường và push ngay
+    console.error(`❌ Error coalescing message notification for ${recipientId}:`, error.message);
+    const notificationId = saveInApp
+      ? await saveNotificationToFirestore(notification)
+      : null;
+    return { notificationId, unreadCount: 1, pushNow: push, flushAt: null, collapseKey };
+  }
+}
+
+/**
+ * Payload FCM cho push tin nhắn dạng hội thoại
+ * @param {string} locale
+ * @param {object} options
+ * @param {string} options.chatId
+ * @param {{senderId: string, senderName?: string, text?: string, messageId?: string}} options.message - Tin mới nhất
+ * @param {number} options.unreadCount
+ * @param {boolean} [options.summary] - true: body là "3 tin nhắn mới" (push sau debounce)
+ */
+function buildMessagePayload(locale, { chatId, message, unreadCount, summary = false }) {
+  return {
+    notification: {
+      title: message.senderName || t(locale, 'new_message.title'),
+      body: summary && unreadCount > 1
+        ? t(locale, 'new_message.body_count', { count: unreadCount })
+        : message.text || t(locale, 'new_message.media'),
+    },
+    data: {
+      screen: 'Chat_fr',
+      roomId: chatId,
+      senderId: message.senderId,
+      type: 'new_message',
+      unreadCount: String(unreadCount),
+      ...(message.messageId ? { messageId: message.messageId } : {}),
+    },
+    androidChannelId: 'messages',
+    collapseKey: getCollapseKey('new_message', chatId),
+  };
+}
+
+/**
+ * Job 'message_flush': gửi push đã bị debounce cho 1 người nhận, nội dung là trạng thái mới nhất của chat
+ * (vd "3 tin nhắn mới"), thay thế push trước nhờ collapse key.
+ * Mute / preferences có thể đã đổi trong lúc chờ → kiểm tra lại lúc gửi (giờ yên lặng: sendLocalizedToRecipients)
+ * @param {{recipientId: string, chatId: string}} payload
+ */
+async function sendMessageFlushJob({ recipientId, chatId }) {
+  const groupRef = getNotificationGroupRef(recipientId, 'new_message', chatId);
+  const state = await db.runTransaction(async (tx) => {
+    const groupDoc = await tx.get(groupRef);
+    const group = groupDoc.exists ? groupDoc.data() : null;
+    if (!group?.pendingPushAt) return null;
+    tx.update(groupRef, {
+      pendingPushAt: null,
+      lastPushAt: admin.firestore.Timestamp.now(),
+    });
+    return group;
+  });
+  if (!state) {
+    return { success: true, message: 'Nothing to flush', sent: 0 };
+  }
+
+  const [chatDoc, recipient] = await Promise.all([
+    db.collection('Chats').doc(chatId).get(),
+    getUserDevices(recipientId),
+  ]);
+  const memberIds = Array.isArray(chatDoc.data()?.UID) ? chatDoc.data().UID : [];
+  if (!memberIds.includes(recipientId)) {
+    return { success: true, message: 'Recipient is no longer a chat member', sent: 0 };
+  }
+  if (getChatMuteState(chatDoc.data()).mutedIds.includes(recipientId)) {
+    return { success: true, message: 'Chat muted', sent: 0 };
+  }
+  if (!getChannelPreferences(recipient.preferences, 'new_message').push) {
+    return { success: true, message: 'Push disabled for messages', sent: 0 };
+  }
+
+  const message = state.lastMessage || {};
+  const { sent, failed, total, silenced, deferred } = await sendLocalizedToRecipients(
+    [recipient],
+    (locale) => buildMessagePayload(locale, { chatId, message, unreadCount: state.unreadCount, summary: true }),
+    { type: 'new_message', senderId: message.senderId }
+  );
+  console.log(`📨 Debounced push for chat ${chatId} → ${recipientId}: ${state.unreadCount} unread, sent=${sent}`);
+
+  return { success: true, sent, failed, total, silenced, deferred, unreadCount: state.unreadCount };
+}
+
+/**
+ * Hẹn flush push đã bị debounce: job chạy trễ trong hàng đợi bền → không mất khi restart,
+ * instance nào cũng chạy được (không hiện trong /api/scheduled-notifications)
+ * @param {string} recipientId
+ * @param {string} chatId
+ * @param {number} flushAt - epoch ms
+ * @returns {Promise<object>} Job flush
+ */
+function scheduleMessageFlush(recipientId, chatId, flushAt) {
+  return notificationQueue.enqueue('message_flush', { recipientId, chatId }, { runAt: flushAt, scheduled: false });
+}
+
+/**
+ * Tạo 1 message FCM (gửi qua sendFcmMessages)
  * @param {string} token
  * @param {object} payload
+ * @returns {import('firebase-admin').messaging.TokenMessage}
  */
-function sendFcmToToken(token, payload) {
+function buildFcmMessage(token, payload) {
+  // Chỉ cập nhật badge (không hiện notification), vd khi user mở app
+  if (payload.badgeOnly) {
+    return {
+      token,
+      data: { type: 'badge', badge: String(payload.badge) },
+      android: { priority: 'normal' },
+      apns: {
+        headers: { 'apns-priority': '5', 'apns-push-type': 'alert' },
+        payload: { aps: { badge: payload.badge } },
+      },
+    };
+  }
+
   // IMPORTANT: For killed state notifications, we need BOTH notification and data payloads
   // notification payload: shown by system when app is killed/background
   // data payload: handled by app when in foreground
@@ -199,8 +1423,12 @@ function sendFcmToToken(token, payload) {
     notification: payload.notification || {},
     // Data payload - this is passed to the app
     data: {
-      ...(payload.data || {}),
       // Convert all values to strings as required by FCM
+      ...Object.fromEntries(
+        Object.entries(payload.data || {})
+          .filter(([_, value]) => value !== undefined && value !== null)
+          .map(([key, value]) => [key, toDataString(value)])
+      ),
       click_action: 'FLUTTER_NOTIFICATION_CLICK',
     },
     android: {
@@ -229,7 +1457,8 @@ function sendFcmToToken(token, payload) {
       payload: {
         aps: {
           sound: 'default',
-          badge: 1,
+          // Số notification chưa đọc của người nhận (không có → giữ nguyên badge hiện tại)
+          ...(Number.isInteger(payload.badge) ? { badge: payload.badge } : {}),
           'content-available': 1,
           'mutable-content': 1,
         },
@@ -237,12 +1466,258 @@ function sendFcmToToken(token, payload) {
     },
   };
 
-  // Remove internal helper key
-  delete message.androidChannelId;
+  // Push gộp: push mới thay thế push cũ cùng nhóm trên thiết bị thay vì xếp chồng
+  if (payload.collapseKey) {
+    message.android.collapseKey = payload.collapseKey;
+    message.android.notification.tag = payload.collapseKey;
+    message.apns.headers['apns-collapse-id'] = payload.collapseKey;
+    message.apns.payload.aps['thread-id'] = payload.collapseKey;
+  }
+
+  // Quiet hours: vẫn hiện notification nhưng không chuông / rung
+  if (payload.silent) {
+    message.data.silent = 'true';
+    message.android.priority = 'normal';
+    message.android.notification = {
+      ...message.android.notification,
+      channelId: 'silent',
+      defaultSound: false,
+      defaultVibrateTimings: false,
+      notificationPriority: 'PRIORITY_LOW',
+    };
+    delete message.android.notification.sound;
+    message.apns.headers['apns-priority'] = '5';
+    delete message.apns.payload.aps.sound;
+    message.apns.payload.aps['interruption-level'] = 'passive';
+  }
+
+  // Remove internal helper key
+  delete message.androidChannelId;
+
+  return message;
+}
+
+/**
+ * Gửi nhiều message FCM (mỗi thiết bị 1 payload) qua sendEach theo batch FCM_BATCH_SIZE,
+ * tối đa FANOUT_CONCURRENCY batch cùng lúc. Token chết sẽ được dọn khỏi Firestore ngay sau khi gửi.
+ * @param {Array<{device: {id: string, token: string, userId?: string}, payload: object}>} entries
+ * @param {object} [options]
+ * @param {(progress: {processed: number, total: number, sent: number, failed: number}) => Promise<void>|void} [options.onProgress]
+ *   Gọi sau mỗi batch, chỉ khi có nhiều hơn 1 batch (audience lớn)
+ * @returns {Promise<{sent: number, failed: number, total: number, pruned: number, messageIds: string[], errors: Error[], results: Array<object>}>}
+ */
+async function sendFcmMessages(entries, { onProgress } = {}) {
+  // Badge thật theo số notification chưa đọc của từng người nhận
+  const badges = await getBadgeCounts(
+    entries.filter(({ payload }) => payload.badge === undefined).map(({ device }) => device)
+  );
+  const messages = entries.map(({ device, payload }) =>
+    buildFcmMessage(
+      device.token,
+      payload.badge === undefined && badges.has(device.userId) ? { ...payload, badge: badges.get(device.userId) } : payload
+    )
+  );
+
+  const batches = chunk(messages, FCM_BATCH_SIZE);
+  const progress = { processed: 0, total: messages.length, sent: 0, failed: 0 };
+  const responses = (await mapWithConcurrency(batches, FANOUT_CONCURRENCY, async (batch) => {
+    let batchResponses;
+    try {
+      ({ responses: batchResponses } = await admin.messaging().sendEach(batch));
+    } catch (error) {
+      // Cả batch lỗi (mất mạng, credentials, ...) → mọi message trong batch lỗi như nhau
+      batchResponses = batch.map(() => ({ success: false, error }));
+    }
+
+    const sent = batchResponses.filter((r) => r.success).length;
+    progress.processed += batch.length;
+    progress.sent += sent;
+    progress.failed += batch.length - sent;
+    if (onProgress && batches.length > 1) {
+      await onProgress({ ...progress });
+    }
+    return batchResponses;
+  })).flat();
+
+  const failures = responses
+    .map((r, index) => ({ r, index, device: entries[index].device }))
+    .filter(({ r }) => !r.success)
+    .map(({ r, index, device }) => ({
+      index,
+      device,
+      error: r.error,
+      code: r.error?.code || 'unknown',
+      errorClass: classifyFcmError(r.error),
+    }));
+
+  const pruneActions = failures.length > 0 ? await pruneDeadTokens(failures) : new Map();
+  const failuresByIndex = new Map(failures.map((f) => [f.index, f]));
+
+  // Kết quả theo từng token (không trả token ra ngoài, chỉ deviceId)
+  const results = responses.map((r, index) => {
+    const { device } = entries[index];
+    if (r.success) {
+      return { userId: device.userId, deviceId: device.id, status: 'sent', messageId: r.messageId };
+    }
+    const failure = failuresByIndex.get(index);
+    return {
+      userId: device.userId,
+      deviceId: device.id,
+      status: 'failed',
+      code: failure.code,
+      errorClass: failure.errorClass,
+      action: pruneActions.get(device) || null,
+    };
+  });
+
+  const messageIds = results.filter((r) => r.status === 'sent').map((r) => r.messageId);
+
+  return {
+    sent: messageIds.length,
+    failed: failures.length,
+    total: entries.length,
+    pruned: pruneActions.size,
+    messageIds,
+    errors: failures.map((f) => f.error),
+    results,
+  };
+}
+
+/**
+ * Gửi cùng 1 payload đến nhiều thiết bị (fan-out), xem sendFcmMessages
+ * @param {Array<{id: string, token: string, userId?: string}>} devices
+ * @param {object} payload
+ * @param {object} [options] - Như sendFcmMessages
+ */
+async function sendFcmToDevices(devices, payload, options) {
+  return sendFcmMessages(devices.map((device) => ({ device, payload })), options);
+}
+
+/**
+ * Gửi notification đến tất cả thiết bị của 1 user.
+ * Nếu không gửi được đến thiết bị nào vì lỗi KHÔNG phải do token chết
+ * thì throw lỗi đầu tiên (giữ hành vi cũ: trả về 500).
+ * @param {Array<{id: string, token: string}>} devices
+ * @param {object} payload
+ * @returns {Promise<{messageId: string, sent: number, total: number, pruned: number, results: Array<object>}>}
+ */
+async function sendFcmToUserDevices(devices, payload) {
+  const { sent, total, pruned, messageIds, errors, results } = await sendFcmToDevices(devices, payload);
+  const otherErrors = errors.filter((e) => !['dead_token', 'mismatched_token'].includes(classifyFcmError(e)));
+  if (sent === 0 && otherErrors.length > 0) {
+    throw otherErrors[0];
+  }
+  return { messageId: messageIds[0], sent, total, pruned, results };
+}
+
+/**
+ * Hoãn push tới lúc quiet hours (mode 'defer') của người nhận kết thúc (xem lib/deferred-push.js)
+ * @param {string} recipientId
+ * @param {object} quietHours - Kết quả normalizeQuietHours
+ * @param {object} payload - Payload FCM
+ * @param {object} options
+ * @param {string} options.type
+ * @param {string} [options.senderId]
+ * @returns {Promise<number>} Thời điểm sẽ gửi (epoch ms)
+ */
+async function deferPush(recipientId, quietHours, payload, { type, senderId }) {
+  const runAt = getQuietHoursEnd(quietHours);
+  await enqueueDeferredPush(notificationQueue, { recipientId, payload, type, senderId }, runAt);
+  return runAt;
+}
+
+/**
+ * Job 'deferred_push': gửi push đã hoãn. Thiết bị, preferences và quiet hours được đọc lại lúc gửi
+ * (user đổi giờ yên lặng → hoãn tiếp; tắt push → bỏ)
+ */
+const sendDeferredPushJob = createDeferredPushHandler({
+  getRecipient: getUserDevices,
+  send: ({ devices, preferences, quietHours }, payload, options) =>
+    sendPushIfEnabled(getChannelPreferences(preferences, options.type), devices, payload, { ...options, quietHours }),
+});
+
+/**
+ * Gửi push cho 1 user nếu user bật kênh push cho loại thông báo này,
+ * có tính quiet hours của người nhận
+ * @param {{push: boolean}} channels - Kết quả getChannelPreferences
+ * @param {Array<{id: string, token: string}>} devices
+ * @param {object} payload
+ * @param {object} [options]
+ * @param {string} [options.recipientId] - Bắt buộc khi có quietHours (dùng để hẹn gửi với mode 'defer')
+ * @param {object} [options.quietHours] - Kết quả normalizeQuietHours
+ * @param {string} [options.type] - Loại thông báo
+ * @param {string} [options.senderId] - Dùng để kiểm tra vipSenders
+ * @returns {Promise<{delivery: 'immediate'|'silenced'|'deferred'|'disabled', deferredUntil?: string}>} cùng kết quả sendFcmToUserDevices
+ */
+async function sendPushIfEnabled(channels, devices, payload, { recipientId, quietHours, type, senderId } = {}) {
+  if (!channels.push) {
+    return { messageId: undefined, sent: 0, total: 0, pruned: 0, results: [], delivery: 'disabled' };
+  }
+
+  const delivery = quietHours ? getQuietHoursDelivery(quietHours, { type, senderId }) : 'immediate';
+  if (delivery === 'deferred') {
+    const runAt = await deferPush(recipientId, quietHours, payload, { type, senderId });
+    return {
+      messageId: undefined,
+      sent: 0,
+      total: 0,
+      pruned: 0,
+      results: [],
+      delivery,
+      deferredUntil: new Date(runAt).toISOString(),
+    };
+  }
+
+  const result = await sendFcmToUserDevices(devices, { ...payload, silent: delivery === 'silenced' });
+  return { ...result, delivery };
+}
+
+/**
+ * Gửi đến nhiều user, mỗi user nhận nội dung theo ngôn ngữ của mình.
+ * Có tính quiet hours của từng người nhận (user bị deferred được hẹn gửi sau, gửi im lặng cho user bị silenced).
+ * @param {Array<{uid: string, devices: Array<object>, locale: string, quietHours?: object}>} recipients - Kết quả getUserDevices
+ * @param {(locale: string, recipient: object) => object} buildPayload - Tạo payload FCM cho 1 locale
+ * @param {object} [options]
+ * @param {string} [options.type] - Loại thông báo
+ * @param {string} [options.senderId] - Dùng để kiểm tra vipSenders
+ * @param {boolean} [options.perRecipient=false] - Payload khác nhau theo từng người nhận (vd unreadCount)
+ * @param {Function} [options.onProgress] - Tiến độ gửi với audience lớn, xem sendFcmMessages
+ * @returns {Promise<{sent: number, failed: number, total: number, pruned: number, silenced: number, deferred: number, results: Array<object>}>}
+ */
+async function sendLocalizedToRecipients(recipients, buildPayload, { type, senderId, perRecipient = false, onProgress } = {}) {
+  const now = new Date();
+  const groups = new Map();
+  let silenced = 0;
+  const deferredRecipients = [];
+
+  recipients.forEach((recipient, index) => {
+    const { devices, locale, quietHours } = recipient;
+    const delivery = quietHours ? getQuietHoursDelivery(quietHours, { type, senderId, now }) : 'immediate';
+    if (delivery === 'deferred') {
+      if (devices.length > 0) deferredRecipients.push(recipient);
+      return;
+    }
+    if (delivery === 'silenced') silenced += 1;
+
+    const key = perRecipient ? `${index}` : `${locale}:${delivery}`;
+    if (!groups.has(key)) groups.set(key, { locale, recipient, silent: delivery === 'silenced', devices: [] });
+    groups.get(key).devices.push(...devices);
+  });
 
-  console.log('Sending FCM message:', JSON.stringify(message, null, 2));
-  
-  return admin.messaging().send(message);
+  // Mọi nhóm gửi chung 1 lượt → batch đầy đủ 500 message và giới hạn song song trên toàn bộ audience
+  const entries = Array.from(groups.values()).flatMap(({ locale, recipient, silent, devices }) => {
+    if (devices.length === 0) return [];
+    const payload = { ...buildPayload(locale, recipient), silent };
+    return devices.map((device) => ({ device, payload }));
+  });
+
+  const { sent, failed, total, pruned, results } = await sendFcmMessages(entries, { onProgress });
+
+  await mapWithConcurrency(deferredRecipients, FANOUT_CONCURRENCY, (recipient) =>
+    deferPush(recipient.uid, recipient.quietHours, buildPayload(recipient.locale, recipient), { type, senderId })
+  );
+
+  return { sent, failed, total, pruned, silenced, deferred: deferredRecipients.length, results };
 }
 
 // =======================
@@ -253,68 +1728,60 @@ app.get('/', (req, res) => {
   res.json({
     status: 'ok',
     service: 'ChatLofi Notification Server',
-    version: '1.3.0', // Added OTP verification via SMTP
+    version: '1.3.0', // OTP email via Resend / SMTP (failover)
     timestamp: new Date().toISOString(),
-    features: ['fcm_push', 'firestore_save', 'mute_check', 'auto_ping', 'otp_email'],
+    features: ['fcm_push', 'multi_device', 'firestore_save', 'mute_check', 'auto_ping', 'otp_email'],
   });
 });
 
 app.get('/health', (req, res) => {
-  res.json({ status: 'healthy', version: '1.3.0' });
+  res.json({ status: 'healthy', version: '1.3.0', email: emailTransport ? 'ok' : 'unavailable' });
 });
 
 // =======================
 // API: OTP - Send OTP
 // =======================
 
+/**
+ * Chưa có email transport (cấu hình sai khi khởi động) → OTP không dùng được, trả 503
+ * (đặt trước rate limit để không tính lượt)
+ */
+function requireEmailTransport(req, res, next) {
+  if (!emailTransport) {
+    return res.status(503).json({
+      error: 'Email service unavailable',
+      code: 'EMAIL_UNAVAILABLE',
+    });
+  }
+  next();
+}
+
 /**
  * Send OTP to email for verification
  * POST /api/otp/send
- * body: { email }
+ * body: { email, purpose?: 'signup' | 'password_reset' | 'email_change' | 'login', locale?: 'vi' | 'en' }
  */
-app.post('/api/otp/send', async (req, res) => {
+app.post('/api/otp/send', requireEmailTransport, validateRequest(OTP_SEND_SCHEMA), otpRateLimit('send'), async (req, res) => {
   try {
-    const { email } = req.body;
-
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
-    }
-
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({ error: 'Invalid email format' });
-    }
-
-    // Check if there's a recent OTP request (rate limiting)
-    const existingOtp = otpStore.get(email);
-    if (existingOtp && existingOtp.expiresAt > Date.now()) {
-      const remainingSeconds = Math.ceil((existingOtp.expiresAt - Date.now()) / 1000);
-      if (remainingSeconds > (OTP_EXPIRY_MINUTES * 60) - 60) {
-        // If OTP was sent less than 1 minute ago
-        return res.status(429).json({
-          error: 'Please wait before requesting a new OTP',
-          retryAfter: 60 - ((OTP_EXPIRY_MINUTES * 60) - remainingSeconds),
-        });
-      }
-    }
+    const { email, purpose = DEFAULT_OTP_PURPOSE } = req.body;
 
     // Generate new OTP
     const otp = generateOTP();
     const expiresAt = Date.now() + (OTP_EXPIRY_MINUTES * 60 * 1000);
 
-    // Store OTP
-    otpStore.set(email, {
-      otp,
+    // Store OTP (chỉ lưu hash + salt)
+    await otpStore.set(getOtpKey(email, purpose), {
+      ...(await hashOTP(otp)),
       expiresAt,
       attempts: 0,
       createdAt: Date.now(),
     });
 
     // Send email
-    await sendOTPEmail(email, otp);
+    await sendOTPEmail(email, otp, purpose, await resolveEmailLocale(req, email));
 
-    console.log(`📧 OTP sent to ${email}: ${otp} (expires in ${OTP_EXPIRY_MINUTES} minutes)`);
+    // KHÔNG log mã OTP
+    console.log(`📧 OTP sent to ${email} for ${purpose} (expires in ${OTP_EXPIRY_MINUTES} minutes)`);
 
     res.json({
       success: true,
@@ -337,17 +1804,16 @@ app.post('/api/otp/send', async (req, res) => {
 /**
  * Verify OTP
  * POST /api/otp/verify
- * body: { email, otp }
+ * body: { email, otp, purpose? }
+ * → { verified, verificationToken } (token ký bằng OTP_TOKEN_SECRET, chỉ hợp lệ cho đúng purpose)
  */
-app.post('/api/otp/verify', async (req, res) => {
+app.post('/api/otp/verify', requireEmailTransport, validateRequest(OTP_VERIFY_SCHEMA), otpRateLimit('verify'), async (req, res) => {
   try {
-    const { email, otp } = req.body;
+    const { email, otp, purpose = DEFAULT_OTP_PURPOSE } = req.body;
 
-    if (!email || !otp) {
-      return res.status(400).json({ error: 'Email and OTP are required' });
-    }
+    const otpKey = getOtpKey(email, purpose);
 
-    const storedData = otpStore.get(email);
+    const storedData = await otpStore.get(otpKey);
 
     if (!storedData) {
       return res.status(400).json({
@@ -358,16 +1824,27 @@ app.post('/api/otp/verify', async (req, res) => {
 
     // Check if OTP expired
     if (storedData.expiresAt < Date.now()) {
-      otpStore.delete(email);
+      await otpStore.delete(otpKey);
       return res.status(400).json({
         error: 'OTP has expired',
         code: 'OTP_EXPIRED',
       });
     }
 
-    // Check attempts
-    if (storedData.attempts >= MAX_OTP_ATTEMPTS) {
-      otpStore.delete(email);
+    // Giữ trước 1 lượt (tăng attempts trong transaction) rồi mới so sánh:
+    // nhiều request đoán song song không thể cùng lọt qua 1 lần đọc attempts cũ
+    const attempts = await otpStore.incrementAttempts(otpKey);
+    if (attempts === null) {
+      return res.status(400).json({
+        error: 'No OTP found for this email',
+        code: 'OTP_NOT_FOUND',
+      });
+    }
+
+    if (attempts > MAX_OTP_ATTEMPTS) {
+      await otpStore.delete(otpKey);
+      // Lặp lại nhiều lần → khoá email (xem OTP_LOCKOUT)
+      await rateLimiter.record(`otp:lockout:${normalizeEmail(email)}`, OTP_LOCKOUT);
       return res.status(400).json({
         error: 'Too many failed attempts. Please request a new OTP',
         code: 'TOO_MANY_ATTEMPTS',
@@ -375,27 +1852,35 @@ app.post('/api/otp/verify', async (req, res) => {
     }
 
     // Verify OTP
-    if (storedData.otp !== otp.toString().trim()) {
-      storedData.attempts += 1;
-      otpStore.set(email, storedData);
-      
-      const remainingAttempts = MAX_OTP_ATTEMPTS - storedData.attempts;
+    const isValid = await verifyOTPHash(otp, storedData);
+    if (!isValid) {
       return res.status(400).json({
         error: 'Invalid OTP',
         code: 'INVALID_OTP',
-        remainingAttempts,
+        remainingAttempts: MAX_OTP_ATTEMPTS - attempts,
       });
     }
 
     // OTP verified successfully
-    otpStore.delete(email);
+    await otpStore.delete(otpKey);
+
+    console.log(`✅ OTP verified for ${email} (${purpose})`);
 
-    console.log(`✅ OTP verified for ${email}`);
+    // Token ngắn hạn để app chứng minh với Firebase Functions là email đã được xác thực
+    const { token, expiresIn } = signVerificationToken({
+      email: normalizeEmail(email),
+      purpose,
+      secret: OTP_TOKEN_SECRET,
+      ttlSeconds: OTP_TOKEN_TTL_SECONDS,
+    });
 
     res.json({
       success: true,
       message: 'OTP verified successfully',
       verified: true,
+      purpose,
+      verificationToken: token,
+      verificationTokenExpiresIn: expiresIn,
     });
   } catch (error) {
     console.error('Error verifying OTP:', error);
@@ -406,6 +1891,59 @@ app.post('/api/otp/verify', async (req, res) => {
   }
 });
 
+// =======================
+// API: OTP - Consume verification token
+// =======================
+
+/**
+ * Dùng verification token (1 lần)
+ * POST /api/otp/token/consume (chỉ API key, scope `otp`)
+ * body: { token, purpose? }
+ * → { email, purpose } nếu token hợp lệ và chưa dùng; dùng lại → 409 TOKEN_ALREADY_USED
+ *
+ * Tự kiểm tra chữ ký bằng OTP_TOKEN_SECRET (offline) thì token dùng được nhiều lần đến khi hết hạn;
+ * Functions cần token chỉ dùng 1 lần (vd đổi mật khẩu) phải gọi route này.
+ */
+app.post(
+  '/api/otp/token/consume',
+  authenticate({ scope: 'otp', allowUsers: false }),
+  validateRequest({
+    token: { type: 'string', required: true, maxLength: 2048 },
+    purpose: { type: 'string', enum: OTP_PURPOSES },
+  }),
+  async (req, res) => {
+    const { token, purpose } = req.body;
+
+    let claims;
+    try {
+      claims = verifyVerificationToken(token, { secret: OTP_TOKEN_SECRET, purpose });
+    } catch (error) {
+      return res.status(400).json({ error: error.message, code: 'INVALID_VERIFICATION_TOKEN' });
+    }
+
+    try {
+      // Giữ jti đến khi token hết hạn, sau đó token cũng không còn verify được
+      const ttlMs = Math.max(claims.exp * 1000 - Date.now(), 0) + MINUTE_MS;
+      const { reserved } = await consumedTokenStore.reserve(`otp_token:${claims.jti}`, {
+        value: req.auth.name,
+        ttlMs,
+      });
+      if (!reserved) {
+        return res.status(409).json({ error: 'Verification token has already been used', code: 'TOKEN_ALREADY_USED' });
+      }
+
+      console.log(`🔑 Verification token consumed for ${claims.sub} (${claims.purpose}) by ${req.auth.name}`);
+      res.json({ success: true, email: claims.sub, purpose: claims.purpose });
+    } catch (error) {
+      console.error('Error consuming verification token:', error);
+      res.status(500).json({
+        error: 'Failed to consume verification token',
+        message: error.message,
+      });
+    }
+  }
+);
+
 // =======================
 // API: OTP - Resend OTP
 // =======================
@@ -413,1060 +1951,1712 @@ app.post('/api/otp/verify', async (req, res) => {
 /**
  * Resend OTP (invalidates previous OTP)
  * POST /api/otp/resend
- * body: { email }
+ * body: { email, purpose?, locale? }
  */
-app.post('/api/otp/resend', async (req, res) => {
+app.post('/api/otp/resend', requireEmailTransport, validateRequest(OTP_SEND_SCHEMA), otpRateLimit('send'), async (req, res) => {
   try {
-    const { email } = req.body;
-
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
-    }
+    const { email, purpose = DEFAULT_OTP_PURPOSE } = req.body;
 
     // Delete existing OTP
-    otpStore.delete(email);
+    await otpStore.delete(getOtpKey(email, purpose));
 
     // Generate new OTP
     const otp = generateOTP();
     const expiresAt = Date.now() + (OTP_EXPIRY_MINUTES * 60 * 1000);
 
-    // Store new OTP
-    otpStore.set(email, {
-      otp,
+    // Store new OTP (chỉ lưu hash + salt)
+    await otpStore.set(getOtpKey(email, purpose), {
+      ...(await hashOTP(otp)),
       expiresAt,
       attempts: 0,
       createdAt: Date.now(),
     });
 
     // Send email
-    await sendOTPEmail(email, otp);
+    await sendOTPEmail(email, otp, purpose, await resolveEmailLocale(req, email));
+
+    console.log(`📧 OTP resent to ${email} for ${purpose}`);
+
+    res.json({
+      success: true,
+      message: 'OTP resent successfully',
+      expiresIn: OTP_EXPIRY_MINUTES * 60,
+    });
+  } catch (error) {
+    console.error('Error resending OTP:', error);
+    res.status(500).json({
+      error: 'Failed to resend OTP',
+      message: error.message,
+    });
+  }
+});
+
+// =======================
+// API: devices/register
+// =======================
+
+/**
+ * Đăng ký (hoặc cập nhật) thiết bị nhận push cho user
+ * POST /api/devices/register
+ * body: { userId, token, deviceId?, platform?, appVersion?, locale? }
+ *
+ * - Gọi mỗi khi app mở / FCM token refresh
+ * - Cùng 1 token đăng ký dưới deviceId khác sẽ bị gỡ (tránh gửi trùng)
+ */
+const REGISTER_DEVICE_SCHEMA = {
+  userId: { type: 'id', required: true },
+  token: { type: 'string', required: true, maxLength: 4096 },
+  deviceId: { type: 'id' },
+  platform: { type: 'string', enum: DEVICE_PLATFORMS },
+  appVersion: { type: 'string', maxLength: 50 },
+  locale: { type: 'string', maxLength: 35 },
+};
+
+app.post('/api/devices/register', authenticate({ scope: 'devices', actorField: 'userId' }), validateRequest(REGISTER_DEVICE_SCHEMA), async (req, res) => {
+  try {
+    const { userId, token, deviceId, platform, appVersion, locale } = req.body;
+
+    const userRef = db.collection('users').doc(userId);
+    const userDoc = await userRef.get();
+
+    if (!userDoc.exists) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const id = getDeviceId(token, deviceId);
+    const registry = userDoc.data()?.devices || {};
+
+    const updates = [
+      new admin.firestore.FieldPath('devices', id),
+      {
+        token,
+        platform: platform || null,
+        appVersion: appVersion || null,
+        locale: locale || null,
+        active: true,
+        lastSeenAt: admin.firestore.FieldValue.serverTimestamp(),
+        createdAt: registry[id]?.createdAt || admin.firestore.FieldValue.serverTimestamp(),
+      },
+    ];
+
+    // Gỡ token trùng đang nằm dưới deviceId khác
+    Object.entries(registry)
+      .filter(([otherId, device]) => otherId !== id && device?.token === token)
+      .forEach(([otherId]) => {
+        updates.push(
+          new admin.firestore.FieldPath('devices', otherId),
+          admin.firestore.FieldValue.delete()
+        );
+      });
+
+    await userRef.update(...updates);
+
+    console.log(`📲 Device registered for ${userId}: ${id} (${platform || 'unknown'})`);
+
+    res.json({
+      success: true,
+      deviceId: id,
+    });
+  } catch (error) {
+    console.error('Error registering device:', error);
+    res.status(500).json({
+      error: 'Failed to register device',
+      message: error.message,
+    });
+  }
+});
+
+// =======================
+// API: devices/unregister
+// =======================
+
+/**
+ * Gỡ thiết bị (khi logout / tắt thông báo trên máy)
+ * POST /api/devices/unregister
+ * body: { userId, token?, deviceId? } - cần ít nhất 1 trong token / deviceId
+ */
+const UNREGISTER_DEVICE_SCHEMA = {
+  userId: { type: 'id', required: true },
+  token: { type: 'string', maxLength: 4096 },
+  deviceId: { type: 'id' },
+};
+
+app.post('/api/devices/unregister', authenticate({ scope: 'devices', actorField: 'userId' }), validateRequest(UNREGISTER_DEVICE_SCHEMA, { requireOneOf: ['token', 'deviceId'] }), async (req, res) => {
+  try {
+    const { userId, token, deviceId } = req.body;
+
+    const userRef = db.collection('users').doc(userId);
+    const userDoc = await userRef.get();
+
+    if (!userDoc.exists) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const userData = userDoc.data() || {};
+    const registry = userData.devices || {};
+
+    const removeIds = Object.entries(registry)
+      .filter(([id, device]) => id === deviceId || (token && device?.token === token))
+      .map(([id]) => id);
+
+    const updates = removeIds.flatMap((id) => [
+      new admin.firestore.FieldPath('devices', id),
+      admin.firestore.FieldValue.delete(),
+    ]);
+
+    // Token cũ (legacy) cũng phải xoá, nếu không user vẫn nhận push sau khi logout
+    const removeLegacy =
+      userData.fcmToken &&
+      ((token && userData.fcmToken === token) || deviceId === LEGACY_DEVICE_ID);
+    if (removeLegacy) {
+      updates.push('fcmToken', admin.firestore.FieldValue.delete());
+    }
+
+    if (updates.length > 0) {
+      await userRef.update(...updates);
+    }
+
+    console.log(`📴 Device unregistered for ${userId}: ${removeIds.length + (removeLegacy ? 1 : 0)} removed`);
+
+    res.json({
+      success: true,
+      removed: removeIds.length + (removeLegacy ? 1 : 0),
+    });
+  } catch (error) {
+    console.error('Error unregistering device:', error);
+    res.status(500).json({
+      error: 'Failed to unregister device',
+      message: error.message,
+    });
+  }
+});
+
+// =======================
+// API: preferences
+// =======================
+
+/**
+ * Lấy preferences thông báo của user (đã điền mặc định)
+ * GET /api/preferences/:userId
+ */
+app.get('/api/preferences/:userId', authenticate({ scope: 'preferences', actorParam: 'userId' }), async (req, res) => {
+  try {
+    const userDoc = await db.collection('users').doc(req.params.userId).get();
+
+    if (!userDoc.exists) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      preferences: getNotificationPreferences(userDoc.data()),
+      quietHours: normalizeQuietHours(userDoc.data().quietHours),
+    });
+  } catch (error) {
+    console.error('Error getting preferences:', error);
+    res.status(500).json({
+      error: 'Failed to get preferences',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Cập nhật preferences (chỉ các type / kênh / field được gửi lên, phần còn lại giữ nguyên)
+ * PUT /api/preferences/:userId
+ * body: {
+ *   preferences?: { [type]: { push?: boolean, inApp?: boolean } },
+ *   quietHours?: { enabled?, start?, end?, timezone?, mode?, vipSenders? }
+ * }
+ */
+const CHANNEL_PREFERENCES_SCHEMA = Object.fromEntries(
+  NOTIFICATION_CHANNELS.map((channel) => [channel, { type: 'boolean' }])
+);
+const TIME_RULE = { type: 'string', validate: (value) => isValidTime(value) || 'must be HH:MM (24h)' };
+const UPDATE_PREFERENCES_SCHEMA = {
+  preferences: {
+    type: 'object',
+    properties: Object.fromEntries(
+      NOTIFICATION_TYPES.map((type) => [type, { type: 'object', properties: CHANNEL_PREFERENCES_SCHEMA }])
+    ),
+  },
+  quietHours: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      start: TIME_RULE,
+      end: TIME_RULE,
+      timezone: {
+        type: 'string',
+        validate: (value) => isValidTimezone(value) || 'must be an IANA timezone (e.g. Asia/Ho_Chi_Minh)',
+      },
+      mode: { type: 'string', enum: QUIET_HOURS_MODES },
+      vipSenders: { type: 'array', maxItems: MAX_VIP_SENDERS, items: { type: 'id' } },
+    },
+  },
+};
+
+app.put(
+  '/api/preferences/:userId',
+  authenticate({ scope: 'preferences', actorParam: 'userId' }),
+  validateRequest(UPDATE_PREFERENCES_SCHEMA, { requireOneOf: ['preferences', 'quietHours'] }),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { preferences = {}, quietHours = {} } = req.body;
+
+      const updates = [];
+      Object.entries(preferences).forEach(([type, channels]) => {
+        Object.entries(channels).forEach(([channel, enabled]) => {
+          updates.push(new admin.firestore.FieldPath('notificationPreferences', type, channel), enabled);
+        });
+      });
+      Object.entries(quietHours).forEach(([field, value]) => {
+        updates.push(new admin.firestore.FieldPath('quietHours', field), value);
+      });
+
+      const userRef = db.collection('users').doc(userId);
+      const userDoc = await userRef.get();
+
+      if (!userDoc.exists) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      if (updates.length > 0) {
+        await userRef.update(...updates);
+      }
+
+      console.log(`🔕 Preferences updated for ${userId}: ${updates.length / 2} changes`);
+
+      const updatedDoc = await userRef.get();
+      res.json({
+        success: true,
+        preferences: getNotificationPreferences(updatedDoc.data()),
+        quietHours: normalizeQuietHours(updatedDoc.data().quietHours),
+      });
+    } catch (error) {
+      console.error('Error updating preferences:', error);
+      res.status(500).json({
+        error: 'Failed to update preferences',
+        message: error.message,
+      });
+    }
+  }
+);
+
+// =======================
+// API: chats/mute
+// =======================
+
+/**
+ * Tắt thông báo 1 chat cho user
+ * POST /api/chats/:chatId/mute
+ * body: { userId, duration?: '1h' | '8h' | '24h' | '7d' | 'forever', durationMinutes?: number }
+ * Không truyền duration / durationMinutes = tắt đến khi bật lại
+ */
+const MUTE_CHAT_SCHEMA = {
+  userId: { type: 'id', required: true },
+  duration: { type: 'string', enum: Object.keys(CHAT_MUTE_DURATIONS) },
+  durationMinutes: { type: 'integer', min: 1, max: MAX_CHAT_MUTE_MINUTES },
+};
+
+app.post('/api/chats/:chatId/mute', authenticate({ scope: 'preferences', actorField: 'userId' }), validateRequest(MUTE_CHAT_SCHEMA), async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const { userId, duration, durationMinutes } = req.body;
+
+    let durationMs = null;
+    if (durationMinutes !== undefined) {
+      durationMs = durationMinutes * MINUTE_MS;
+    } else if (duration !== undefined) {
+      durationMs = CHAT_MUTE_DURATIONS[duration];
+    }
+
+    const chat = await getChatForMember(chatId, userId);
+    if (chat.status) {
+      return res.status(chat.status).json(chat.body);
+    }
+
+    const until = durationMs === null ? null : new Date(Date.now() + durationMs);
+    const updates = [
+      new admin.firestore.FieldPath('mutes', userId),
+      {
+        until: until ? admin.firestore.Timestamp.fromDate(until) : null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+    ];
+
+    // Mute có hạn thay thế mute vĩnh viễn kiểu cũ
+    if (until) {
+      updates.push('mutedUsers', admin.firestore.FieldValue.arrayRemove(userId));
+    }
+
+    // Tiện thể dọn các mute đã hết hạn của người khác
+    getChatMuteState(chat.chatData).expiredIds
+      .filter((uid) => uid !== userId)
+      .forEach((uid) => {
+        updates.push(new admin.firestore.FieldPath('mutes', uid), admin.firestore.FieldValue.delete());
+      });
+
+    await chat.chatRef.update(...updates);
+
+    console.log(`🔕 Chat ${chatId} muted by ${userId} until ${until ? until.toISOString() : 'turned back on'}`);
+
+    res.json({
+      success: true,
+      chatId,
+      muted: true,
+      mutedUntil: until ? until.toISOString() : null,
+    });
+  } catch (error) {
+    console.error('Error muting chat:', error);
+    res.status(500).json({
+      error: 'Failed to mute chat',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Bật lại thông báo 1 chat cho user (xoá cả mute kiểu cũ trong mutedUsers)
+ * POST /api/chats/:chatId/unmute
+ * body: { userId }
+ */
+app.post('/api/chats/:chatId/unmute', authenticate({ scope: 'preferences', actorField: 'userId' }), validateRequest({ userId: { type: 'id', required: true } }), async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const { userId } = req.body;
+
+    const chat = await getChatForMember(chatId, userId);
+    if (chat.status) {
+      return res.status(chat.status).json(chat.body);
+    }
+
+    await chat.chatRef.update(
+      new admin.firestore.FieldPath('mutes', userId),
+      admin.firestore.FieldValue.delete(),
+      'mutedUsers',
+      admin.firestore.FieldValue.arrayRemove(userId)
+    );
+
+    console.log(`🔔 Chat ${chatId} unmuted by ${userId}`);
+
+    res.json({
+      success: true,
+      chatId,
+      muted: false,
+    });
+  } catch (error) {
+    console.error('Error unmuting chat:', error);
+    res.status(500).json({
+      error: 'Failed to unmute chat',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Trạng thái mute của user trong 1 chat
+ * GET /api/chats/:chatId/mute/:userId
+ */
+app.get('/api/chats/:chatId/mute/:userId', authenticate({ scope: 'preferences', actorParam: 'userId' }), async (req, res) => {
+  try {
+    const { chatId, userId } = req.params;
+
+    const chat = await getChatForMember(chatId, userId);
+    if (chat.status) {
+      return res.status(chat.status).json(chat.body);
+    }
+
+    const { mutedUntil } = getChatMuteState(chat.chatData);
+    const muted = userId in mutedUntil;
+
+    res.json({
+      success: true,
+      chatId,
+      muted,
+      mutedUntil: muted && mutedUntil[userId] ? mutedUntil[userId].toISOString() : null,
+    });
+  } catch (error) {
+    console.error('Error getting chat mute:', error);
+    res.status(500).json({
+      error: 'Failed to get chat mute',
+      message: error.message,
+    });
+  }
+});
+
+// =======================
+// API: notifications (inbox)
+// =======================
+
+/**
+ * Danh sách notification của user
+ * GET /api/notifications/:userId?limit=20&cursor=<id>&type=post_comment,mention&unread=true&archived=false
+ */
+const LIST_NOTIFICATIONS_QUERY_SCHEMA = {
+  limit: { type: 'integer', min: 1, max: INBOX_MAX_LIMIT },
+  cursor: { type: 'id' },
+  type: TYPE_FILTER_RULE,
+  unread: { type: 'boolean' },
+  archived: { type: 'boolean' },
+};
+
+app.get('/api/notifications/:userId', authenticate({ scope: 'inbox', actorParam: 'userId' }), validateRequest(LIST_NOTIFICATIONS_QUERY_SCHEMA, { source: 'query' }), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { limit = INBOX_DEFAULT_LIMIT, cursor, type: types, unread = false, archived = false } = req.query;
+
+    let cursorDoc;
+    if (cursor) {
+      cursorDoc = await db.collection('notifications').doc(cursor).get();
+      if (!cursorDoc.exists || cursorDoc.data().recipientId !== userId) {
+        return res.status(400).json({
+          error: 'Invalid query parameters',
+          code: 'VALIDATION_FAILED',
+          errors: [{ field: 'cursor', code: VALIDATION_CODES.INVALID_VALUE, message: 'cursor must be a notification of this user' }],
+        });
+      }
+    }
+
+    const { items, nextCursor } = await listNotifications(userId, {
+      limit,
+      cursorDoc,
+      types,
+      unreadOnly: unread,
+      archived,
+    });
+
+    res.json({
+      success: true,
+      notifications: items,
+      nextCursor,
+    });
+  } catch (error) {
+    console.error('Error listing notifications:', error);
+    res.status(500).json({
+      error: 'Failed to list notifications',
+      message: error.message,
+    });
+  }
+});
 
-    console.log(`📧 OTP resent to ${email}: ${otp}`);
+/**
+ * Số notification chưa đọc
+ * GET /api/notifications/:userId/unread-count?type=post_comment,mention
+ */
+app.get('/api/notifications/:userId/unread-count', authenticate({ scope: 'inbox', actorParam: 'userId' }), validateRequest({ type: TYPE_FILTER_RULE }, { source: 'query' }), async (req, res) => {
+  try {
+    const unread = await getUnreadCount(req.params.userId, req.query.type);
 
     res.json({
       success: true,
-      message: 'OTP resent successfully',
-      expiresIn: OTP_EXPIRY_MINUTES * 60,
+      unread,
     });
   } catch (error) {
-    console.error('Error resending OTP:', error);
+    console.error('Error counting unread notifications:', error);
     res.status(500).json({
-      error: 'Failed to resend OTP',
+      error: 'Failed to count unread notifications',
       message: error.message,
     });
   }
 });
 
-// =======================
-// API: send-notification (generic)
-// =======================
-
 /**
- * Send notification to specific user
- * POST /api/send-notification
- * body: { recipientId, title, body, data? }
+ * Đánh dấu đã đọc 1 hoặc nhiều notification
+ * POST /api/notifications/:userId/read
+ * body: { ids: string[] }
  */
-app.post('/api/send-notification', async (req, res) => {
+app.post('/api/notifications/:userId/read', authenticate({ scope: 'inbox', actorParam: 'userId' }), validateRequest({ ids: NOTIFICATION_IDS_RULE }), async (req, res) => {
   try {
-    const { recipientId, title, body, data } = req.body;
-
-    if (!recipientId || !title || !body) {
-      return res.status(400).json({
-        error: 'Missing required fields',
-        required: ['recipientId', 'title', 'body'],
-      });
-    }
-
-    const { fcmToken, exists } = await getUserFcmToken(recipientId);
-
-    if (!exists) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+    const { userId } = req.params;
+    const ids = [...new Set(req.body.ids)];
 
-    if (!fcmToken) {
-      return res.status(400).json({ error: 'User has no FCM token' });
-    }
+    const { found, notFound } = await getOwnNotifications(userId, ids);
+    const unreadDocs = found.filter((doc) => doc.data().read !== true);
+    const batch = db.batch();
+    unreadDocs.forEach((doc) => batch.update(doc.ref, { read: true, readAt: admin.firestore.FieldValue.serverTimestamp() }));
+    await batch.commit();
 
-    const result = await sendFcmToToken(fcmToken, {
-      notification: { title, body },
-      data: data || {},
-      androidChannelId: 'messages',
-    });
+    const unread = await getUnreadCount(userId);
+    if (unreadDocs.length > 0) syncBadgeInBackground(userId, unread);
 
     res.json({
       success: true,
-      messageId: result,
-      recipientId,
+      updated: found.length,
+      notFound,
+      unread,
     });
   } catch (error) {
-    console.error('Error sending notification:', error);
+    console.error('Error marking notifications as read:', error);
     res.status(500).json({
-      error: 'Failed to send notification',
+      error: 'Failed to mark notifications as read',
       message: error.message,
     });
   }
 });
 
-// =======================
-// API: notify/message
-// =======================
-
 /**
- * Send message notification
- * POST /api/notify/message
- * body: { chatId, messageId?, senderId, senderName?, text? }
- * 
- * Logic tắt thông báo (giống Facebook):
- * - Khi user A tắt thông báo chat với B:
- *   + A KHÔNG nhận push notification từ B
- *   + A VẪN nhận notification lưu trong Firestore (để xem sau)
- *   + B KHÔNG bị ảnh hưởng (vẫn nhận push bình thường)
+ * Đánh dấu đã đọc tất cả (có thể lọc theo loại)
+ * POST /api/notifications/:userId/read-all
+ * body: { type?: string } - vd "post_reaction,comment_like"
  */
-app.post('/api/notify/message', async (req, res) => {
+app.post('/api/notifications/:userId/read-all', authenticate({ scope: 'inbox', actorParam: 'userId' }), validateRequest({ type: TYPE_FILTER_RULE }), async (req, res) => {
   try {
-    const { chatId, messageId, senderId, senderName, text } = req.body;
-
-    if (!chatId || !senderId) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
-
-    const chatDoc = await db.collection('Chats').doc(chatId).get();
-
-    if (!chatDoc.exists) {
-      return res.status(404).json({ error: 'Chat not found' });
-    }
-
-    const chatData = chatDoc.data();
-    const memberIds = Array.isArray(chatData.UID) ? chatData.UID : [];
-    
-    // Lấy danh sách users đã mute chat này
-    const mutedUsers = Array.isArray(chatData.mutedUsers) ? chatData.mutedUsers : [];
-    
-    // Tất cả recipients (trừ sender) - dùng để lưu notification
-    const allRecipientIds = memberIds.filter((uid) => uid !== senderId);
-    
-    // Recipients nhận push notification (loại bỏ những người đã mute)
-    const pushRecipientIds = allRecipientIds.filter((uid) => !mutedUsers.includes(uid));
-    
-    console.log(`📱 Chat ${chatId}: Members=${memberIds.length}, Muted=${mutedUsers.length}, Push=${pushRecipientIds.length}, SaveNotif=${allRecipientIds.length}`);
-
-    // === PHẦN 1: Lưu notification vào Firestore cho TẤT CẢ recipients (kể cả đã mute) ===
-    // Để họ có thể xem lại trong màn hình Notifications
-    if (allRecipientIds.length > 0) {
-      await Promise.all(
-        allRecipientIds.map((recipientId) =>
-          saveNotificationToFirestore(
-            recipientId,
-            'new_message',
-            senderName || 'Tin nhắn mới',
-            text || '📷 Hình ảnh',
-            {
-              roomId: chatId,
-              senderId,
-              senderName,
-              messageId,
-            }
-          )
-        )
+    const { userId } = req.params;
+    const { type: types } = req.body;
+
+    let query = db
+      .collection('notifications')
+      .where('recipientId', '==', userId)
+      .where('read', '==', false);
+    if (types?.length) query = query.where('type', 'in', types);
+
+    // Mỗi batch tối đa INBOX_MAX_IDS document
+    let updated = 0;
+    for (;;) {
+      const snapshot = await query.limit(INBOX_MAX_IDS).get();
+      if (snapshot.empty) break;
+      const batch = db.batch();
+      snapshot.docs.forEach((doc) =>
+        batch.update(doc.ref, { read: true, readAt: admin.firestore.FieldValue.serverTimestamp() })
       );
-      console.log(`💾 Saved notifications to Firestore for ${allRecipientIds.length} recipients`);
-    }
-
-    // === PHẦN 2: Gửi push notification CHỈ cho những người KHÔNG mute ===
-    if (pushRecipientIds.length === 0) {
-      return res.json({
-        success: true,
-        message: 'Notifications saved, but no push recipients (all muted)',
-        sent: 0,
-        saved: allRecipientIds.length,
-        muted: mutedUsers.length,
-      });
-    }
-
-    // Lấy token của những người không mute
-    const tokenResults = await Promise.all(
-      pushRecipientIds.map((uid) => getUserFcmToken(uid))
-    );
-
-    const tokens = tokenResults
-      .map((r) => r.fcmToken)
-      .filter((t) => typeof t === 'string' && t.trim().length > 0);
-
-    if (tokens.length === 0) {
-      return res.json({
-        success: true,
-        message: 'Notifications saved, but no FCM tokens for push',
-        sent: 0,
-        saved: allRecipientIds.length,
-      });
+      await batch.commit();
+      updated += snapshot.size;
+      if (snapshot.size < INBOX_MAX_IDS) break;
     }
 
-    const payload = {
-      notification: {
-        title: senderName || 'Tin nhắn mới',
-        body: text || '📷 Hình ảnh',
-      },
-      data: {
-        screen: 'Chat_fr',
-        roomId: chatId,
-        senderId: senderId,
-        type: 'new_message',
-        ...(messageId ? { messageId } : {}),
-      },
-      androidChannelId: 'messages',
-    };
-
-    const sendResults = await Promise.allSettled(
-      tokens.map((token) => sendFcmToToken(token, payload))
-    );
+    console.log(`📭 Marked ${updated} notifications as read for ${userId}`);
 
-    const successful = sendResults.filter(
-      (r) => r.status === 'fulfilled'
-    ).length;
+    const unread = await getUnreadCount(userId);
+    if (updated > 0) syncBadgeInBackground(userId, unread);
 
     res.json({
       success: true,
-      sent: successful,
-      total: tokens.length,
-      saved: allRecipientIds.length,
-      mutedCount: mutedUsers.length,
+      updated,
+      unread,
     });
   } catch (error) {
-    console.error('Error sending message notification:', error);
+    console.error('Error marking all notifications as read:', error);
     res.status(500).json({
-      error: 'Failed to send notification',
+      error: 'Failed to mark all notifications as read',
       message: error.message,
     });
   }
 });
 
-// =======================
-// API: notify/friend-request
-// =======================
-
 /**
- * Send friend request notification
- * POST /api/notify/friend-request
- * body: { recipientId, senderId, senderName? }
+ * Lưu trữ (ẩn khỏi danh sách mặc định) hoặc bỏ lưu trữ notification.
+ * Notification được lưu trữ cũng được đánh dấu đã đọc.
+ * POST /api/notifications/:userId/archive
+ * body: { ids: string[], archived?: boolean } - archived mặc định true
  */
-app.post('/api/notify/friend-request', async (req, res) => {
-  try {
-    const { recipientId, senderId, senderName } = req.body;
-
-    if (!recipientId || !senderId) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
+const ARCHIVE_NOTIFICATIONS_SCHEMA = {
+  ids: NOTIFICATION_IDS_RULE,
+  archived: { type: 'boolean' },
+};
 
-    const { fcmToken, exists } = await getUserFcmToken(recipientId);
-
-    if (!exists) {
-      return res.status(404).json({ error: 'Recipient not found' });
-    }
-
-    if (!fcmToken) {
-      return res.status(400).json({ error: 'Recipient has no FCM token' });
-    }
-
-    const title =
-      senderName || 'Lời mời kết bạn mới';
-    const body = senderName
-      ? `${senderName} đã gửi cho bạn lời mời kết bạn`
-      : 'Bạn có lời mời kết bạn mới';
-
-    const result = await sendFcmToToken(fcmToken, {
-      notification: { title, body },
-      data: {
-        type: 'friend_request',
-        senderId,
-        screen: 'FriendRequests',
-      },
-      androidChannelId: 'friend_requests',
+app.post('/api/notifications/:userId/archive', authenticate({ scope: 'inbox', actorParam: 'userId' }), validateRequest(ARCHIVE_NOTIFICATIONS_SCHEMA), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { archived = true } = req.body;
+    const ids = [...new Set(req.body.ids)];
+
+    const { found, notFound } = await getOwnNotifications(userId, ids);
+    let markedRead = 0;
+    const batch = db.batch();
+    found.forEach((doc) => {
+      const updates = { archived };
+      if (archived && doc.data().read !== true) {
+        updates.read = true;
+        updates.readAt = admin.firestore.FieldValue.serverTimestamp();
+        markedRead += 1;
+      }
+      batch.update(doc.ref, updates);
     });
+    await batch.commit();
 
-    // Save notification to Firestore
-    await saveNotificationToFirestore(
-      recipientId,
-      'friend_request',
-      title,
-      body,
-      { senderId, senderName }
-    );
+    const unread = await getUnreadCount(userId);
+    if (markedRead > 0) syncBadgeInBackground(userId, unread);
 
     res.json({
       success: true,
-      messageId: result,
+      updated: found.length,
+      archived,
+      notFound,
+      unread,
     });
   } catch (error) {
-    console.error('Error sending friend request notification:', error);
+    console.error('Error archiving notifications:', error);
     res.status(500).json({
-      error: 'Failed to send friend request notification',
+      error: 'Failed to archive notifications',
       message: error.message,
     });
   }
 });
 
-// =======================
-// API: notify/new-post
-// =======================
-
 /**
- * Notify followers when user creates new post
- * POST /api/notify/new-post
- * body: { postId, userId, userName? }
+ * Xoá 1 notification
+ * DELETE /api/notifications/:userId/:notificationId
  */
-app.post('/api/notify/new-post', async (req, res) => {
+app.delete('/api/notifications/:userId/:notificationId', authenticate({ scope: 'inbox', actorParam: 'userId' }), async (req, res) => {
   try {
-    const { postId, userId, userName } = req.body;
-
-    if (!postId || !userId) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
-
-    const followersSnapshot = await db
-      .collection('followers')
-      .where('followingId', '==', userId)
-      .get();
-
-    if (followersSnapshot.empty) {
-      return res.json({
-        success: true,
-        message: 'No followers to notify',
-        sent: 0,
-      });
-    }
-
-    const followerIds = followersSnapshot.docs
-      .map((doc) => doc.data()?.followerId)
-      .filter((id) => typeof id === 'string' && id.trim().length > 0);
-
-    if (followerIds.length === 0) {
-      return res.json({
-        success: true,
-        message: 'No valid follower IDs',
-        sent: 0,
-      });
-    }
-
-    const tokenResults = await Promise.all(
-      followerIds.map((uid) => getUserFcmToken(uid))
-    );
-
-    const tokens = tokenResults
-      .map((r) => r.fcmToken)
-      .filter((t) => typeof t === 'string' && t.trim().length > 0);
+    const { userId, notificationId } = req.params;
 
-    if (tokens.length === 0) {
-      return res.json({
-        success: true,
-        message: 'No followers with FCM tokens',
-        sent: 0,
-      });
+    const { found } = await getOwnNotifications(userId, [notificationId]);
+    if (found.length === 0) {
+      return res.status(404).json({ error: 'Notification not found' });
     }
 
-    const payload = {
-      notification: {
-        title: 'Bài viết mới',
-        body: userName
-          ? `${userName} vừa đăng một bài viết mới`
-          : 'Có bài viết mới từ người bạn đang theo dõi',
-      },
-      data: {
-        screen: 'PostDetail',
-        postId,
-        userId,
-        type: 'new_post',
-      },
-      androidChannelId: 'posts',
-    };
-
-    const sendResults = await Promise.allSettled(
-      tokens.map((token) => sendFcmToToken(token, payload))
-    );
+    await found[0].ref.delete();
 
-    const successful = sendResults.filter(
-      (r) => r.status === 'fulfilled'
-    ).length;
+    const unread = await getUnreadCount(userId);
+    if (found[0].data().read !== true) syncBadgeInBackground(userId, unread);
 
     res.json({
       success: true,
-      sent: successful,
-      total: tokens.length,
+      deleted: notificationId,
+      unread,
     });
   } catch (error) {
-    console.error('Error sending new post notification:', error);
+    console.error('Error deleting notification:', error);
     res.status(500).json({
-      error: 'Failed to send new post notification',
+      error: 'Failed to delete notification',
       message: error.message,
     });
   }
 });
 
-// =======================
-// API: notify/video-call
-// =======================
-
 /**
- * Notify incoming video call
- * POST /api/notify/video-call
- * body: { recipientId, callerId, callerName, roomId }
+ * Xoá nhiều notification
+ * POST /api/notifications/:userId/delete
+ * body: { ids: string[] }
  */
-app.post('/api/notify/video-call', async (req, res) => {
+app.post('/api/notifications/:userId/delete', authenticate({ scope: 'inbox', actorParam: 'userId' }), validateRequest({ ids: NOTIFICATION_IDS_RULE }), async (req, res) => {
   try {
-    const { recipientId, callerId, callerName, roomId } = req.body;
-
-    if (!recipientId || !callerId) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
-
-    const { fcmToken, exists } = await getUserFcmToken(recipientId);
-
-    if (!exists) {
-      return res.status(404).json({ error: 'Recipient not found' });
-    }
-
-    if (!fcmToken) {
-      return res.status(400).json({ error: 'Recipient has no FCM token' });
-    }
+    const { userId } = req.params;
+    const ids = [...new Set(req.body.ids)];
 
-    const title = '📹 Cuộc gọi video đến';
-    const body = callerName
-      ? `${callerName} đang gọi video cho bạn`
-      : 'Bạn có cuộc gọi video đến';
+    const { found, notFound } = await getOwnNotifications(userId, ids);
+    const batch = db.batch();
+    found.forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
 
-    // Lưu thông báo vào Firestore
-    try {
-      await admin.firestore().collection('notifications').add({
-        recipientId,
-        senderId: callerId,
-        senderName: callerName || 'Người dùng',
-        type: 'video_call',
-        title,
-        body,
-        roomId: roomId || '',
-        read: false,
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      });
-      console.log('✅ Video call notification saved to Firestore');
-    } catch (saveError) {
-      console.error('Error saving notification to Firestore:', saveError);
-      // Continue even if save fails
-    }
-
-    const result = await sendFcmToToken(fcmToken, {
-      notification: { 
-        title, 
-        body,
-      },
-      data: {
-        type: 'video_call',
-        callerId,
-        callerName: callerName || '',
-        recipientId,
-        roomId: roomId || '',
-        screen: 'VideoCall',
-      },
-      androidChannelId: 'video_call',
-    });
-
-    console.log('✅ Video call notification sent to:', recipientId);
+    const unread = await getUnreadCount(userId);
+    if (found.some((doc) => doc.data().read !== true)) syncBadgeInBackground(userId, unread);
 
     res.json({
       success: true,
-      messageId: result,
+      deleted: found.length,
+      notFound,
+      unread,
     });
   } catch (error) {
-    console.error('Error sending video call notification:', error);
+    console.error('Error deleting notifications:', error);
     res.status(500).json({
-      error: 'Failed to send notification',
+      error: 'Failed to delete notifications',
       message: error.message,
     });
   }
 });
 
 // =======================
-// API: notify/friend-request-accepted
+// API: badge
 // =======================
 
 /**
- * Notify when friend request is accepted
- * POST /api/notify/friend-request-accepted
- * body: { recipientId, acceptorId, acceptorName? }
+ * Badge hiện tại của user (= số notification chưa đọc)
+ * GET /api/badge/:userId
  */
-app.post('/api/notify/friend-request-accepted', async (req, res) => {
+app.get('/api/badge/:userId', authenticate({ scope: 'devices', actorParam: 'userId' }), async (req, res) => {
   try {
-    const { recipientId, acceptorId, acceptorName } = req.body;
+    const badge = await getUnreadCount(req.params.userId);
 
-    if (!recipientId || !acceptorId) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
+    res.json({
+      success: true,
+      badge,
+    });
+  } catch (error) {
+    console.error('Error getting badge:', error);
+    res.status(500).json({
+      error: 'Failed to get badge',
+      message: error.message,
+    });
+  }
+});
 
-    const { fcmToken, exists } = await getUserFcmToken(recipientId);
+/**
+ * Gửi badge-only push tới tất cả thiết bị của user
+ * @param {string} userId
+ * @param {number} [badge] - Không truyền → tính lại từ số notification chưa đọc
+ * @returns {Promise<{exists: boolean, badge: number, sent: number, failed: number, total: number, pruned: number, results: Array<object>}>}
+ */
+async function syncBadge(userId, badge) {
+  const { devices, exists } = await getUserDevices(userId);
+  if (!exists) {
+    return { exists, badge: null, sent: 0, failed: 0, total: 0, pruned: 0, results: [] };
+  }
 
-    if (!exists) {
-      return res.status(404).json({ error: 'Recipient not found' });
-    }
+  const value = badge ?? (await getUnreadCount(userId));
+  const { sent, failed, total, pruned, results } = devices.length > 0
+    ? await sendFcmToDevices(devices, { badgeOnly: true, badge: value })
+    : { sent: 0, failed: 0, total: 0, pruned: 0, results: [] };
 
-    if (!fcmToken) {
-      return res.status(400).json({ error: 'Recipient has no FCM token' });
-    }
+  console.log(`🔢 Badge synced for ${userId}: ${value} (${sent}/${total} devices)`);
+  return { exists, badge: value, sent, failed, total, pruned, results };
+}
 
-    const title = 'Lời mời kết bạn được chấp nhận';
-    const body = acceptorName
-      ? `${acceptorName} đã chấp nhận lời mời kết bạn của bạn`
-      : 'Lời mời kết bạn của bạn đã được chấp nhận';
+/**
+ * Đồng bộ badge sau khi inbox đổi số chưa đọc (read / read-all / archive / xoá), không chặn response.
+ * iOS chỉ cập nhật badge khi nhận push, không sync thì badge cũ còn đến push kế tiếp.
+ * @param {string} userId
+ * @param {number} badge - Số notification chưa đọc vừa đếm
+ */
+function syncBadgeInBackground(userId, badge) {
+  syncBadge(userId, badge).catch((error) => {
+    console.warn(`⚠️ Badge not synced for ${userId}:`, error.message);
+  });
+}
 
-    const result = await sendFcmToToken(fcmToken, {
-      notification: { title, body },
-      data: {
-        type: 'friend_request_accepted',
-        acceptorId,
-        screen: 'Personal_page',
-      },
-      androidChannelId: 'friend_requests',
-    });
+/**
+ * Đồng bộ badge lên tất cả thiết bị của user (gọi khi user mở app / đọc notification)
+ * POST /api/badge/:userId/sync
+ * body: { badge?: number } - Không truyền → tính lại từ số notification chưa đọc, 0 = xoá badge
+ */
+app.post('/api/badge/:userId/sync', authenticate({ scope: 'devices', actorParam: 'userId' }), validateRequest({ badge: { type: 'integer', min: 0 } }), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { exists, badge, sent, failed, total, pruned, results } = await syncBadge(userId, req.body.badge);
 
-    // Save notification to Firestore
-    await saveNotificationToFirestore(
-      recipientId,
-      'friend_accept',
-      title,
-      body,
-      { senderId: acceptorId, senderName: acceptorName }
-    );
+    if (!exists) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
     res.json({
       success: true,
-      messageId: result,
+      badge,
+      sent,
+      failed,
+      total,
+      pruned,
+      results,
     });
   } catch (error) {
-    console.error('Error sending friend request accepted notification:', error);
+    console.error('Error syncing badge:', error);
     res.status(500).json({
-      error: 'Failed to send notification',
+      error: 'Failed to sync badge',
       message: error.message,
     });
   }
 });
 
 // =======================
-// API: notify/post-comment
+// Notification queue (xem lib/job-queue.js)
 // =======================
 
 /**
- * Notify post owner when someone comments
- * POST /api/notify/post-comment
- * body: { postId, postOwnerId, commenterId, commenterName?, commentText? }
+ * Lỗi tạm thời → job được thử lại (FCM quá tải / mất kết nối, Firestore unavailable, ...)
+ * @param {Error & {code?: string|number}} error
  */
-app.post('/api/notify/post-comment', async (req, res) => {
-  try {
-    const { postId, postOwnerId, commenterId, commenterName, commentText } = req.body;
+function isTransientError(error) {
+  return classifyFcmError(error) === 'retryable' || TRANSIENT_ERROR_CODES.includes(error?.code);
+}
 
-    if (!postId || !postOwnerId || !commenterId) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
+/**
+ * Gửi fan-out (nhiều người nhận) không thử lại từng phần để không gửi trùng cho người đã nhận:
+ * chỉ thử lại cả job khi không gửi được cho ai và có lỗi tạm thời (vd FCM đang sự cố)
+ * @param {{sent: number, failed: number, total: number, results: Array<object>}} summary - Kết quả sendLocalizedToRecipients
+ * @throws {Error} retryable
+ */
+function assertFanOutDelivered(summary) {
+  if (summary.sent === 0 && summary.results.some((r) => r.errorClass === 'retryable')) {
+    const error = new Error(`FCM unavailable: ${summary.failed}/${summary.total} device(s) failed`);
+    error.retryable = true;
+    throw error;
+  }
+}
 
-    // Don't notify if user comments on their own post
-    if (postOwnerId === commenterId) {
-      return res.json({
-        success: true,
-        message: 'User commented on their own post, no notification needed',
-        sent: 0,
-      });
-    }
+/**
+ * Người tạo job (lưu kèm job để kiểm tra quyền khi poll)
+ * @param {object} auth - req.auth
+ */
+function getJobCreator(auth) {
+  return auth.type === 'user' ? { type: 'user', uid: auth.uid } : { type: 'api_key', name: auth.name };
+}
+
+/**
+ * Job → JSON trả về cho client
+ * @param {object} job
+ */
+function serializeJob(job) {
+  const toIso = (ms) => (ms ? new Date(ms).toISOString() : null);
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    scheduled: Boolean(job.scheduled),
+    sendAt: toIso(job.sendAt),
+    nextRunAt: job.status === 'queued' ? toIso(job.runAt) : null,
+    progress: job.progress || null,
+    createdAt: toIso(job.createdAt),
+    updatedAt: toIso(job.updatedAt),
+    completedAt: toIso(job.completedAt),
+    result: job.result,
+    error: job.error,
+  };
+}
+
+/**
+ * Field hẹn giờ, thêm vào schema của mọi route gửi thông báo
+ * - sendAt: thời điểm gửi (ISO 8601 có múi giờ), vd "2026-10-20T09:00:00+07:00"
+ * - delaySeconds: gửi sau N giây
+ */
+const SCHEDULE_SCHEMA = {
+  sendAt: { type: 'datetime' },
+  delaySeconds: { type: 'integer', min: 0, max: NOTIFICATION_SCHEDULE_MAX_DAYS * DAY_MS / 1000 },
+};
 
-    const { fcmToken, exists } = await getUserFcmToken(postOwnerId);
+/**
+ * Thời điểm chạy job từ sendAt / delaySeconds (đã qua validateRequest)
+ * @param {{sendAt?: string, delaySeconds?: number}} body
+ * @param {number} [now]
+ * @returns {{errors: Array<{field: string, code: string, message: string}>, runAt: number|undefined}} runAt undefined = gửi ngay
+ */
+function getScheduledRunAt({ sendAt, delaySeconds }, now = Date.now()) {
+  const error = (field, code, message) => ({ errors: [{ field, code, message }], runAt: undefined });
 
-    if (!exists) {
-      return res.status(404).json({ error: 'Post owner not found' });
+  if (sendAt !== undefined && delaySeconds !== undefined) {
+    return error('sendAt', VALIDATION_CODES.INVALID_VALUE, 'Use either sendAt or delaySeconds, not both');
+  }
+  if (delaySeconds !== undefined) {
+    return { errors: [], runAt: now + delaySeconds * 1000 };
+  }
+  if (sendAt === undefined) {
+    return { errors: [], runAt: undefined };
+  }
+
+  const runAt = Date.parse(sendAt);
+  if (runAt < now - SCHEDULE_PAST_TOLERANCE_MS) {
+    return error('sendAt', VALIDATION_CODES.OUT_OF_RANGE, 'sendAt must be in the future');
+  }
+  if (runAt > now + NOTIFICATION_SCHEDULE_MAX_DAYS * DAY_MS) {
+    return error('sendAt', VALIDATION_CODES.OUT_OF_RANGE, `sendAt must be within ${NOTIFICATION_SCHEDULE_MAX_DAYS} days`);
+  }
+  return { errors: [], runAt };
+}
+
+/**
+ * Hash của body đã chuẩn hoá (thứ tự key không ảnh hưởng), dùng để nhận ra request lặp lại
+ * @param {object} body
+ * @returns {string}
+ */
+function hashRequestBody(body) {
+  const canonical = (value) => {
+    if (Array.isArray(value)) return value.map(canonical);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.keys(value).sort().map((key) => [key, canonical(value[key])]));
     }
+    return value;
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(canonical(body))).digest('hex');
+}
+
+/**
+ * Response 202 cho job đã nhận (lần đầu hoặc request lặp lại)
+ * @param {object} job
+ */
+function buildJobAcceptedResponse(job) {
+  return {
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    scheduled: Boolean(job.scheduled),
+    sendAt: job.scheduled ? new Date(job.sendAt).toISOString() : null,
+    statusUrl: `/api/jobs/${job.id}`,
+  };
+}
+
+/**
+ * Precheck người nhận: không tồn tại → 404; bật push nhưng không có thiết bị → 400.
+ * Job hẹn giờ không cần thiết bị lúc tạo (user có thể đăng ký thiết bị trước giờ gửi)
+ * @param {string} recipientId
+ * @param {object} options
+ * @param {string} [options.type] - Loại thông báo (preferences); không có = luôn cần thiết bị
+ * @param {string} [options.label='Recipient'] - Tên người nhận trong thông báo lỗi
+ * @param {boolean} [options.scheduled=false]
+ * @returns {Promise<{status: number, body: object}|null>}
+ */
+async function precheckRecipient(recipientId, { type, label = 'Recipient', scheduled = false }) {
+  const { devices, exists, preferences } = await getUserDevices(recipientId);
+
+  if (!exists) {
+    return { status: 404, body: { error: `${label} not found` } };
+  }
+
+  const push = type ? getChannelPreferences(preferences, type).push : true;
+  if (!scheduled && push && devices.length === 0) {
+    return { status: 400, body: { error: `${label} has no FCM token` } };
+  }
+  return null;
+}
+
+/**
+ * Route handler: đưa body (đã validate) vào hàng đợi, trả 202 + jobId.
+ * - Có sendAt / delaySeconds → job hẹn giờ (xem /api/scheduled-notifications)
+ * - Request lặp lại (cùng Idempotency-Key, hoặc body giống hệt trong IDEMPOTENCY_DEDUPE_MS) → trả job cũ,
+ *   header `Idempotent-Replayed: true`, không tạo job mới
+ * - precheck: kiểm tra nhanh trước khi nhận job (chat / người nhận tồn tại, quyền) → trả ngay 403 / 404 / 400
+ *   thay vì 202 rồi job vào dead letter; handler của job vẫn kiểm tra lại lúc gửi
+ * @param {string} type - Loại job (key trong notificationJobHandlers)
+ * @param {object} [options]
+ * @param {(payload: object) => boolean} [options.dedupeWhen] - Có dedupe khi không có header không (mặc định có)
+ * @param {(payload: object, context: {auth: object, scheduled: boolean}) => Promise<{status: number, body: object}|null>} [options.precheck]
+ *   Trả về response thay cho job, null = hợp lệ
+ */
+function enqueueNotification(type, { dedupeWhen = () => true, precheck } = {}) {
+  return async (req, res) => {
+    try {
+      const { sendAt, delaySeconds, ...payload } = req.body;
+      const { errors, runAt } = getScheduledRunAt({ sendAt, delaySeconds });
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid request body',
+          code: 'VALIDATION_FAILED',
+          errors,
+        });
+      }
+
+      const idempotencyKey = req.get('Idempotency-Key');
+      if (idempotencyKey !== undefined && !IDEMPOTENCY_KEY_REGEX.test(idempotencyKey)) {
+        return res.status(400).json({
+          error: 'Invalid Idempotency-Key',
+          code: 'INVALID_IDEMPOTENCY_KEY',
+          message: 'Idempotency-Key must be 1-255 printable ASCII characters without spaces',
+        });
+      }
+
+      if (precheck) {
+        const rejection = await precheck(payload, { auth: req.auth, scheduled: runAt !== undefined });
+        if (rejection) {
+          return res.status(rejection.status).json(rejection.body);
+        }
+      }
+
+      const createdBy = getJobCreator(req.auth);
+      const caller = createdBy.type === 'user' ? `user:${createdBy.uid}` : `api_key:${createdBy.name}`;
+      const requestHash = hashRequestBody(req.body);
+      let reservation = null;
+      if (idempotencyKey !== undefined) {
+        reservation = { key: `key:${caller}:${idempotencyKey}`, ttlMs: IDEMPOTENCY_KEY_TTL_MS };
+      } else if (dedupeWhen(payload)) {
+        reservation = { key: `dedupe:${caller}:${type}:${requestHash}`, ttlMs: IDEMPOTENCY_DEDUPE_MS };
+      }
+
+      const jobId = crypto.randomUUID();
+      if (reservation) {
+        const { reserved, value } = await idempotencyStore.reserve(reservation.key, {
+          value: { jobId, type, requestHash },
+          ttlMs: reservation.ttlMs,
+        });
 
-    if (!fcmToken) {
-      return res.status(400).json({ error: 'Post owner has no FCM token' });
+        if (!reserved) {
+          if (value.type !== type || value.requestHash !== requestHash) {
+            return res.status(409).json({
+              error: 'Idempotency-Key was already used for a different request',
+              code: 'IDEMPOTENCY_KEY_REUSED',
+            });
+          }
+          // Job có thể chưa kịp ghi nếu request đầu vẫn đang xử lý
+          const original = (await notificationQueue.get(value.jobId)) || { id: value.jobId, status: 'queued' };
+          console.log(`♻️ Duplicate ${type} request from ${caller} → job ${value.jobId}`);
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(202).json({ ...buildJobAcceptedResponse(original), duplicate: true });
+        }
+      }
+
+      let job;
+      try {
+        job = await notificationQueue.enqueue(type, payload, { id: jobId, createdBy, runAt });
+      } catch (error) {
+        // Không giữ key cho job không tồn tại → client retry được
+        if (reservation) {
+          idempotencyStore.release(reservation.key).catch((releaseError) => {
+            console.error('❌ Failed to release idempotency key:', releaseError.message);
+          });
+        }
+        throw error;
+      }
+      res.status(202).json(buildJobAcceptedResponse(job));
+    } catch (error) {
+      console.error(`Error queueing ${type} notification:`, error);
+      res.status(500).json({
+        error: 'Failed to queue notification',
+        message: error.message,
+      });
     }
+  };
+}
 
-    const title = 'Bình luận mới';
-    const body = commenterName
-      ? `${commenterName} đã bình luận: "${commentText?.substring(0, 50) || '...'}"` 
-      : 'Có người bình luận bài viết của bạn';
+// Handler theo loại job (khai báo bên dưới, cùng chỗ với route tương ứng)
+const notificationJobHandlers = {
+  custom: sendCustomNotificationJob,
+  new_message: sendMessageNotificationJob,
+  message_flush: sendMessageFlushJob,
+  [DEFERRED_PUSH_JOB]: sendDeferredPushJob,
+  new_post: sendNewPostNotificationJob,
+  video_call: sendVideoCallNotificationJob,
+  ...Object.fromEntries(Object.keys(NOTIFICATION_TYPE_REGISTRY).map((type) => [type, createNotifyJob(type)])),
+};
+
+const notificationQueue = createJobQueue({
+  store: createJobStore({ driver: NOTIFICATION_QUEUE_DRIVER, db }),
+  handlers: notificationJobHandlers,
+  isRetryable: isTransientError,
+  maxAttempts: NOTIFICATION_QUEUE_MAX_ATTEMPTS,
+  concurrency: NOTIFICATION_QUEUE_CONCURRENCY,
+  pollIntervalMs: NOTIFICATION_QUEUE_POLL_MS,
+});
+console.log(`📬 Notification queue: ${notificationQueue.driver}`);
+const idempotencyStore = createIdempotencyStore({ driver: NOTIFICATION_QUEUE_DRIVER, db });
 
-    const result = await sendFcmToToken(fcmToken, {
-      notification: { title, body },
-      data: {
-        type: 'post_comment',
-        postId,
-        commenterId,
-        screen: 'PostDetail',
-      },
-      androidChannelId: 'posts',
-    });
+/**
+ * Trạng thái job gửi thông báo
+ * GET /api/jobs/:jobId
+ * - status: queued | running | succeeded | dead | cancelled
+ * - result: response của route khi gửi xong (succeeded); error: lỗi gần nhất ({ message, code?, status? })
+ * - progress: { processed, total, sent, failed } khi đang gửi cho audience lớn (nhiều batch FCM)
+ * User (ID token) chỉ xem được job của chính mình
+ */
+app.get('/api/jobs/:jobId', authenticate({ scope: ['notify', 'send'] }), async (req, res) => {
+  try {
+    const job = await notificationQueue.get(req.params.jobId);
 
-    // Save notification to Firestore
-    await saveNotificationToFirestore(
-      postOwnerId,
-      'post_comment',
-      title,
-      body,
-      { postId, senderId: commenterId, senderName: commenterName, commentText }
-    );
+    if (!job || (req.auth.type === 'user' && job.createdBy?.uid !== req.auth.uid)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
 
-    res.json({
-      success: true,
-      messageId: result,
-    });
+    res.json({ success: true, job: serializeJob(job) });
   } catch (error) {
-    console.error('Error sending post comment notification:', error);
+    console.error('Error getting job:', error);
     res.status(500).json({
-      error: 'Failed to send notification',
+      error: 'Failed to get job',
       message: error.message,
     });
   }
 });
 
-// =======================
-// API: notify/post-reaction
-// =======================
-
 /**
- * Notify post owner when someone reacts
- * POST /api/notify/post-reaction
- * body: { postId, postOwnerId, reactorId, reactorName?, reactionType? }
+ * Danh sách thông báo hẹn giờ chưa gửi, sớm nhất trước
+ * GET /api/scheduled-notifications?limit=20&cursor=<jobId>
+ * User (ID token) chỉ thấy job của chính mình, API key thấy tất cả
  */
-app.post('/api/notify/post-reaction', async (req, res) => {
-  try {
-    const { postId, postOwnerId, reactorId, reactorName, reactionType } = req.body;
-
-    if (!postId || !postOwnerId || !reactorId) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
-
-    // Don't notify if user reacts to their own post
-    if (postOwnerId === reactorId) {
-      return res.json({
-        success: true,
-        message: 'User reacted to their own post, no notification needed',
-        sent: 0,
-      });
-    }
-
-    const { fcmToken, exists } = await getUserFcmToken(postOwnerId);
-
-    if (!exists) {
-      return res.status(404).json({ error: 'Post owner not found' });
-    }
-
-    if (!fcmToken) {
-      return res.status(400).json({ error: 'Post owner has no FCM token' });
-    }
+const SCHEDULED_LIST_QUERY_SCHEMA = {
+  limit: { type: 'integer', min: 1, max: SCHEDULED_MAX_LIMIT },
+  cursor: { type: 'id' },
+};
 
-    // Map reaction types to emojis
-    const reactionEmojis = {
-      like: '👍',
-      love: '❤️',
-      haha: '😆',
-      wow: '😮',
-      sad: '😢',
-      angry: '😠',
-    };
-    const emoji = reactionEmojis[reactionType] || '👍';
-
-    const title = 'Biểu cảm mới';
-    const body = reactorName
-      ? `${reactorName} ${emoji} bài viết của bạn`
-      : `Có người ${emoji} bài viết của bạn`;
+app.get('/api/scheduled-notifications', authenticate({ scope: ['notify', 'send'] }), validateRequest(SCHEDULED_LIST_QUERY_SCHEMA, { source: 'query' }), async (req, res) => {
+  try {
+    const { limit = SCHEDULED_DEFAULT_LIMIT, cursor } = req.query;
 
-    const result = await sendFcmToToken(fcmToken, {
-      notification: { title, body },
-      data: {
-        type: 'post_reaction',
-        postId,
-        reactorId,
-        reactionType: reactionType || 'like',
-        screen: 'PostDetail',
-      },
-      androidChannelId: 'posts',
+    const jobs = await notificationQueue.listScheduled({
+      createdByUid: req.auth.type === 'user' ? req.auth.uid : undefined,
+      limit,
+      cursor,
     });
 
-    // Save notification to Firestore
-    await saveNotificationToFirestore(
-      postOwnerId,
-      'post_reaction',
-      title,
-      body,
-      { postId, senderId: reactorId, senderName: reactorName, reactionType }
-    );
-
     res.json({
       success: true,
-      messageId: result,
+      jobs: jobs.map(serializeJob),
+      nextCursor: jobs.length === limit ? jobs[jobs.length - 1].id : null,
     });
   } catch (error) {
-    console.error('Error sending post reaction notification:', error);
+    console.error('Error listing scheduled notifications:', error);
     res.status(500).json({
-      error: 'Failed to send notification',
+      error: 'Failed to list scheduled notifications',
       message: error.message,
     });
   }
 });
 
-// =======================
-// API: notify/post-share
-// =======================
-
 /**
- * Notify post owner when someone shares their post
- * POST /api/notify/post-share
- * body: { postId, postOwnerId, sharerId, sharerName? }
+ * Huỷ thông báo hẹn giờ (hoặc job đang chờ thử lại) chưa gửi
+ * DELETE /api/scheduled-notifications/:jobId
+ * Job đã / đang gửi → 409 NOT_CANCELLABLE
  */
-app.post('/api/notify/post-share', async (req, res) => {
+app.delete('/api/scheduled-notifications/:jobId', authenticate({ scope: ['notify', 'send'] }), async (req, res) => {
   try {
-    const { postId, postOwnerId, sharerId, sharerName } = req.body;
+    const job = await notificationQueue.get(req.params.jobId);
 
-    if (!postId || !postOwnerId || !sharerId) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    if (!job || (req.auth.type === 'user' && job.createdBy?.uid !== req.auth.uid)) {
+      return res.status(404).json({ error: 'Job not found' });
     }
 
-    // Don't notify if user shares their own post
-    if (postOwnerId === sharerId) {
-      return res.json({
-        success: true,
-        message: 'User shared their own post, no notification needed',
-        sent: 0,
+    const { cancelled, job: current } = await notificationQueue.cancel(job.id);
+    if (!cancelled) {
+      return res.status(409).json({
+        error: `Job is ${current.status}`,
+        code: 'NOT_CANCELLABLE',
       });
     }
 
-    const { fcmToken, exists } = await getUserFcmToken(postOwnerId);
-
-    if (!exists) {
-      return res.status(404).json({ error: 'Post owner not found' });
-    }
-
-    if (!fcmToken) {
-      return res.status(400).json({ error: 'Post owner has no FCM token' });
-    }
-
-    const title = 'Bài viết được chia sẻ';
-    const body = sharerName
-      ? `${sharerName} đã chia sẻ bài viết của bạn`
-      : 'Có người đã chia sẻ bài viết của bạn';
-
-    const result = await sendFcmToToken(fcmToken, {
-      notification: { title, body },
-      data: {
-        type: 'post_share',
-        postId,
-        sharerId,
-        screen: 'PostDetail',
-      },
-      androidChannelId: 'posts',
-    });
-
-    // Save notification to Firestore
-    await saveNotificationToFirestore(
-      postOwnerId,
-      'post_share',
-      title,
-      body,
-      { postId, senderId: sharerId, senderName: sharerName }
-    );
-
-    res.json({
-      success: true,
-      messageId: result,
-    });
+    console.log(`🗑️ Scheduled ${job.type} job ${job.id} cancelled by ${req.auth.uid || req.auth.name}`);
+    res.json({ success: true, job: serializeJob(current) });
   } catch (error) {
-    console.error('Error sending post share notification:', error);
+    console.error('Error cancelling scheduled notification:', error);
     res.status(500).json({
-      error: 'Failed to send notification',
+      error: 'Failed to cancel scheduled notification',
       message: error.message,
     });
   }
 });
 
 // =======================
-// API: notify/comment-reply
+// API: send-notification (generic)
 // =======================
 
 /**
- * Notify when someone replies to a comment
- * POST /api/notify/comment-reply
- * body: { postId, commentOwnerId, replierId, replierName?, replyText? }
+ * Send notification to specific user
+ * POST /api/send-notification → 202 { jobId }, job type 'custom'
+ * body: { recipientId, title, body, data? } - giá trị trong data được chuyển thành chuỗi (FCM chỉ nhận string)
+ * Không tự dedupe theo body (gửi lại cùng nội dung có thể là cố ý) → chống gửi trùng bằng header Idempotency-Key
  */
-app.post('/api/notify/comment-reply', async (req, res) => {
-  try {
-    const { postId, commentOwnerId, replierId, replierName, replyText } = req.body;
+const SEND_NOTIFICATION_SCHEMA = {
+  recipientId: { type: 'id', required: true },
+  title: { type: 'string', required: true, maxLength: 200 },
+  body: { type: 'string', required: true, maxLength: TEXT_MAX_LENGTH },
+  data: { type: 'stringMap' },
+};
+
+async function sendCustomNotificationJob({ recipientId, title, body, data }) {
+  const { devices, exists } = await getUserDevices(recipientId);
+
+  if (!exists) {
+    throw new JobFailedError('User not found', { status: 404 });
+  }
 
-    if (!postId || !commentOwnerId || !replierId) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
+  if (devices.length === 0) {
+    throw new JobFailedError('User has no FCM token', { status: 400 });
+  }
 
-    // Don't notify if user replies to their own comment
-    if (commentOwnerId === replierId) {
-      return res.json({
-        success: true,
-        message: 'User replied to their own comment, no notification needed',
-        sent: 0,
-      });
-    }
+  const result = await sendFcmToUserDevices(devices, {
+    notification: { title, body },
+    data: data || {},
+    androidChannelId: 'messages',
+  });
 
-    const { fcmToken, exists } = await getUserFcmToken(commentOwnerId);
+  return {
+    success: true,
+    messageId: result.messageId,
+    sent: result.sent,
+    total: result.total,
+    pruned: result.pruned,
+    results: result.results,
+    recipientId,
+  };
+}
 
-    if (!exists) {
-      return res.status(404).json({ error: 'Comment owner not found' });
-    }
+app.post(
+  '/api/send-notification',
+  authenticate({ scope: 'send', allowUsers: false }),
+  validateRequest({ ...SEND_NOTIFICATION_SCHEMA, ...SCHEDULE_SCHEMA }),
+  enqueueNotification('custom', {
+    dedupeWhen: () => false,
+    precheck: ({ recipientId }, { scheduled }) => precheckRecipient(recipientId, { label: 'User', scheduled }),
+  })
+);
 
-    if (!fcmToken) {
-      return res.status(400).json({ error: 'Comment owner has no FCM token' });
-    }
+// =======================
+// API: notify/message
+// =======================
 
-    const title = 'Trả lời bình luận';
-    const body = replierName
-      ? `${replierName} đã trả lời bình luận của bạn: "${replyText?.substring(0, 50) || '...'}"`
-      : 'Có người trả lời bình luận của bạn';
+/**
+ * Send message notification
+ * POST /api/notify/message → 202 { jobId }, job type 'new_message'
+ * body: { chatId, messageId?, senderId, senderName?, text? }
+ * Không có Idempotency-Key: request lặp lại được nhận ra nhờ messageId (không có messageId thì không dedupe,
+ * vì 2 tin "ok" liên tiếp là 2 tin khác nhau)
+ * 
+ * Logic tắt thông báo (giống Facebook), xem /api/chats/:chatId/mute:
+ * - Khi user A tắt thông báo chat với B (1 giờ, 8 giờ, ... hoặc đến khi bật lại):
+ *   + A KHÔNG nhận push notification từ B
+ *   + A VẪN nhận notification lưu trong Firestore (để xem sau)
+ *   + B KHÔNG bị ảnh hưởng (vẫn nhận push bình thường)
+ */
+const MESSAGE_NOTIFICATION_SCHEMA = {
+  chatId: { type: 'id', required: true },
+  messageId: { type: 'id' },
+  senderId: { type: 'id', required: true },
+  senderName: { type: 'string', maxLength: NAME_MAX_LENGTH },
+  text: { type: 'string', maxLength: TEXT_MAX_LENGTH },
+};
+
+async function sendMessageNotificationJob({ chatId, messageId, senderId, senderName, text }, job) {
+  const chatDoc = await db.collection('Chats').doc(chatId).get();
+
+  if (!chatDoc.exists) {
+    throw new JobFailedError('Chat not found', { status: 404 });
+  }
 
-    const result = await sendFcmToToken(fcmToken, {
-      notification: { title, body },
-      data: {
-        type: 'comment_reply',
-        postId,
-        replierId,
-        screen: 'PostDetail',
-      },
-      androidChannelId: 'posts',
-    });
+  const chatData = chatDoc.data();
+  const memberIds = Array.isArray(chatData.UID) ? chatData.UID : [];
 
-    // Save notification to Firestore
-    await saveNotificationToFirestore(
-      commentOwnerId,
-      'comment_reply',
-      title,
-      body,
-      { postId, senderId: replierId, senderName: replierName, replyText }
-    );
+  // User chỉ được gửi thông báo cho chat mà mình là thành viên
+  if (job.createdBy?.type === 'user' && !memberIds.includes(senderId)) {
+    throw new JobFailedError('Forbidden', { status: 403, code: 'NOT_A_MEMBER' });
+  }
+  
+  // Lấy danh sách users đang mute chat này (mute có hạn đã hết hạn thì bỏ qua và dọn luôn)
+  const { mutedIds: mutedUsers, expiredIds } = getChatMuteState(chatData);
+  cleanupExpiredChatMutes(chatId, expiredIds);
+  
+  // Tất cả recipients (trừ sender) - dùng để lưu notification
+  const allRecipientIds = memberIds.filter((uid) => uid !== senderId);
+  
+  // Recipients nhận push notification (loại bỏ những người đã mute)
+  const pushRecipientIds = allRecipientIds.filter((uid) => !mutedUsers.includes(uid));
+  
+  console.log(`📱 Chat ${chatId}: Members=${memberIds.length}, Muted=${mutedUsers.length}, Push=${pushRecipientIds.length}, SaveNotif=${allRecipientIds.length}`);
+
+  // Đọc user của tất cả recipients 1 lần (thiết bị + ngôn ngữ)
+  const recipients = await getUsersDevices(allRecipientIds);
+
+  // Nội dung theo ngôn ngữ của người nhận
+  const message = { senderId, senderName, text, messageId };
+  const buildText = (locale) => buildMessagePayload(locale, { chatId, message, unreadCount: 1 }).notification;
+
+  // Preferences của từng người nhận (tắt push / tắt in-app cho tin nhắn)
+  const inAppRecipients = recipients.filter((r) => getChannelPreferences(r.preferences, 'new_message').inApp);
+
+  // Thiết bị của những người không mute và bật push (mỗi user có thể có nhiều thiết bị)
+  const pushRecipients = recipients.filter(
+    ({ uid, preferences }) =>
+      pushRecipientIds.includes(uid) && getChannelPreferences(preferences, 'new_message').push
+  );
+
+  // === PHẦN 1: Gộp notification theo chat cho TẤT CẢ recipients (kể cả đã mute) ===
+  // Để họ có thể xem lại trong màn hình Notifications; đồng thời quyết định push ngay hay debounce.
+  // Lưu vào job → lần thử lại không đếm tin nhắn 2 lần
+  const states = await job.step('coalesce', () => Promise.all(
+    recipients.map(async (recipient) => {
+      const saveInApp = inAppRecipients.includes(recipient);
+      const push = pushRecipients.includes(recipient) && recipient.devices.length > 0;
+      if (!saveInApp && !push) {
+        return { uid: recipient.uid, pushNow: false, flushAt: null };
+      }
+      const state = await coalesceMessageNotification({
+        recipientId: recipient.uid,
+        chatId,
+        message,
+        locale: recipient.locale,
+        buildText,
+        saveInApp,
+        push,
+      });
+      return { uid: recipient.uid, ...state };
+    })
+  ));
+  const coalesced = recipients.map((recipient) => ({
+    ...recipient,
+    ...(states.find((state) => state.uid === recipient.uid) || { pushNow: false, flushAt: null }),
+  }));
+  if (inAppRecipients.length > 0) {
+    console.log(`💾 Saved notifications to Firestore for ${inAppRecipients.length} recipients`);
+  }
 
-    res.json({
+  // Tin đến dồn dập: push sau MESSAGE_DEBOUNCE_MS với số tin chưa đọc (1 job flush cho mọi lần thử)
+  await job.step('flush', () => Promise.all(
+    coalesced
+      .filter((r) => r.flushAt)
+      .map(async (r) => (await scheduleMessageFlush(r.uid, chatId, r.flushAt)).id)
+  ));
+  const debounced = pushRecipients.filter((r) => r.devices.length > 0).length
+    - coalesced.filter((r) => r.pushNow).length;
+
+  // === PHẦN 2: Gửi push notification CHỈ cho những người KHÔNG mute ===
+  if (pushRecipientIds.length === 0) {
+    return {
       success: true,
-      messageId: result,
-    });
-  } catch (error) {
-    console.error('Error sending comment reply notification:', error);
-    res.status(500).json({
-      error: 'Failed to send notification',
-      message: error.message,
-    });
+      message: 'Notifications saved, but no push recipients (all muted)',
+      sent: 0,
+      saved: inAppRecipients.length,
+      muted: mutedUsers.length,
+    };
   }
-});
 
-// =======================
-// API: notify/comment-like
-// =======================
+  if (pushRecipients.every((r) => r.devices.length === 0)) {
+    return {
+      success: true,
+      message: 'Notifications saved, but no FCM tokens for push',
+      sent: 0,
+      saved: inAppRecipients.length,
+    };
+  }
+
+  // Mỗi người nhận có unreadCount riêng → payload theo từng người
+  const summary = await sendLocalizedToRecipients(
+    coalesced.filter((r) => r.pushNow),
+    (locale, recipient) => buildMessagePayload(locale, { chatId, message, unreadCount: recipient.unreadCount }),
+    { type: 'new_message', senderId, perRecipient: true, onProgress: job.progress }
+  );
+  assertFanOutDelivered(summary);
+  const { sent, failed, total, pruned, silenced, deferred, results } = summary;
+
+  return {
+    success: true,
+    sent,
+    failed,
+    total,
+    pruned,
+    silenced,
+    deferred,
+    debounced,
+    results,
+    saved: inAppRecipients.length,
+    mutedCount: mutedUsers.length,
+  };
+}
 
 /**
- * Notify when someone likes a comment
- * POST /api/notify/comment-like
- * body: { postId, commentId, commentOwnerId, likerId, likerName? }
+ * Precheck /api/notify/message: chat phải tồn tại, user (ID token) phải là thành viên chat
+ * @param {{chatId: string, senderId: string}} payload
+ * @param {{auth: object}} context
  */
-app.post('/api/notify/comment-like', async (req, res) => {
-  try {
-    const { postId, commentId, commentOwnerId, likerId, likerName } = req.body;
+async function precheckMessageNotification({ chatId, senderId }, { auth }) {
+  if (auth.type !== 'user') {
+    const chatDoc = await db.collection('Chats').doc(chatId).get();
+    return chatDoc.exists ? null : { status: 404, body: { error: 'Chat not found' } };
+  }
+  const chat = await getChatForMember(chatId, senderId);
+  return chat.status ? chat : null;
+}
 
-    if (!postId || !commentId || !commentOwnerId || !likerId) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
+app.post(
+  '/api/notify/message',
+  authenticate({ scope: 'notify', actorField: 'senderId' }),
+  validateRequest({ ...MESSAGE_NOTIFICATION_SCHEMA, ...SCHEDULE_SCHEMA }),
+  enqueueNotification('new_message', {
+    dedupeWhen: ({ messageId }) => Boolean(messageId),
+    precheck: precheckMessageNotification,
+  })
+);
 
-    // Don't notify if user likes their own comment
-    if (commentOwnerId === likerId) {
-      return res.json({
-        success: true,
-        message: 'User liked their own comment, no notification needed',
-        sent: 0,
-      });
-    }
+// =======================
+// API: notify/new-post
+// =======================
 
-    const { fcmToken, exists } = await getUserFcmToken(commentOwnerId);
+/**
+ * Notify followers when user creates new post
+ * POST /api/notify/new-post → 202 { jobId }, job type 'new_post'
+ * body: { postId, userId, userName? }
+ */
+const NEW_POST_NOTIFICATION_SCHEMA = {
+  postId: { type: 'id', required: true },
+  userId: { type: 'id', required: true },
+  userName: { type: 'string', maxLength: NAME_MAX_LENGTH },
+};
+
+async function sendNewPostNotificationJob({ postId, userId, userName }, job) {
+  const followersSnapshot = await db
+    .collection('followers')
+    .where('followingId', '==', userId)
+    .select('followerId')
+    .get();
+
+  if (followersSnapshot.empty) {
+    return {
+      success: true,
+      message: 'No followers to notify',
+      sent: 0,
+    };
+  }
 
-    if (!exists) {
-      return res.status(404).json({ error: 'Comment owner not found' });
-    }
+  const followerIds = followersSnapshot.docs
+    .map((doc) => doc.data()?.followerId)
+    .filter((id) => typeof id === 'string' && id.trim().length > 0);
 
-    if (!fcmToken) {
-      return res.status(400).json({ error: 'Comment owner has no FCM token' });
-    }
+  if (followerIds.length === 0) {
+    return {
+      success: true,
+      message: 'No valid follower IDs',
+      sent: 0,
+    };
+  }
+
+  // Mỗi follower có thể có nhiều thiết bị và ngôn ngữ riêng (đọc theo batch getAll)
+  // Bỏ qua follower đã tắt push cho bài viết mới
+  const recipients = (await getUsersDevices([...new Set(followerIds)]))
+    .filter((r) => getChannelPreferences(r.preferences, 'new_post').push);
 
-    const title = 'Bình luận được thích';
-    const body = likerName
-      ? `${likerName} đã thích bình luận của bạn`
-      : 'Có người thích bình luận của bạn';
+  if (recipients.every((r) => r.devices.length === 0)) {
+    return {
+      success: true,
+      message: 'No followers with FCM tokens',
+      sent: 0,
+    };
+  }
 
-    const result = await sendFcmToToken(fcmToken, {
-      notification: { title, body },
+  const summary = await sendLocalizedToRecipients(
+    recipients,
+    (locale) => ({
+      notification: formatNotification(locale, 'new_post', { name: userName }),
       data: {
-        type: 'comment_like',
-        postId,
-        commentId,
-        likerId,
         screen: 'PostDetail',
+        postId,
+        userId,
+        type: 'new_post',
       },
       androidChannelId: 'posts',
-    });
+      // Gửi cho hàng nghìn follower → không đếm badge từng người
+      badge: null,
+    }),
+    { type: 'new_post', senderId: userId, onProgress: job.progress }
+  );
+  assertFanOutDelivered(summary);
+  const { sent, failed, total, pruned, silenced, deferred, results } = summary;
+
+  return {
+    success: true,
+    sent,
+    failed,
+    total,
+    pruned,
+    silenced,
+    deferred,
+    results,
+  };
+}
+
+app.post('/api/notify/new-post', authenticate({ scope: 'notify', actorField: 'userId' }), validateRequest({ ...NEW_POST_NOTIFICATION_SCHEMA, ...SCHEDULE_SCHEMA }), enqueueNotification('new_post'));
+
+// =======================
+// API: notify/video-call
+// =======================
+
+/**
+ * Notify incoming video call
+ * POST /api/notify/video-call → 202 { jobId }, job type 'video_call'
+ * body: { recipientId, callerId, callerName, roomId }
+ */
+const VIDEO_CALL_NOTIFICATION_SCHEMA = {
+  recipientId: { type: 'id', required: true },
+  callerId: { type: 'id', required: true },
+  callerName: { type: 'string', maxLength: NAME_MAX_LENGTH },
+  roomId: { type: 'id' },
+};
+
+async function sendVideoCallNotificationJob({ recipientId, callerId, callerName, roomId }, job) {
+  const { devices, exists, locale, preferences, quietHours } = await getUserDevices(recipientId);
+  const channels = getChannelPreferences(preferences, 'video_call');
+
+  if (!exists) {
+    throw new JobFailedError('Recipient not found', { status: 404 });
+  }
+
+  // Chỉ cần token khi user bật push cho loại thông báo này
+  if (channels.push && devices.length === 0) {
+    throw new JobFailedError('Recipient has no FCM token', { status: 400 });
+  }
+
+  const { title, body } = formatNotification(locale, 'video_call', { name: callerName });
 
-    // Save notification to Firestore
-    await saveNotificationToFirestore(
-      commentOwnerId,
-      'comment_like',
+  // Lưu thông báo vào Firestore (nếu user bật in-app), 1 lần cho mọi lần thử
+  if (channels.inApp) {
+    await job.step('save', () => saveNotificationToFirestore({
+      recipientId,
+      type: 'video_call',
       title,
       body,
-      { postId, commentId, senderId: likerId, senderName: likerName }
-    );
-
-    res.json({
-      success: true,
-      messageId: result,
-    });
-  } catch (error) {
-    console.error('Error sending comment like notification:', error);
-    res.status(500).json({
-      error: 'Failed to send notification',
-      message: error.message,
-    });
+      locale,
+      actor: { id: callerId, name: callerName || t(locale, 'common.user') },
+      target: getTarget('video_call', { roomId }),
+    }));
   }
-});
+
+  const result = await sendPushIfEnabled(channels, devices, {
+    notification: { 
+      title, 
+      body,
+    },
+    data: {
+      type: 'video_call',
+      callerId,
+      callerName: callerName || '',
+      recipientId,
+      roomId: roomId || '',
+      screen: 'VideoCall',
+    },
+    androidChannelId: 'video_call',
+  }, { recipientId, quietHours, type: 'video_call', senderId: callerId });
+
+  console.log('✅ Video call notification sent to:', recipientId);
+
+  return {
+    success: true,
+    messageId: result.messageId,
+    sent: result.sent,
+    total: result.total,
+    pruned: result.pruned,
+    results: result.results,
+    channels,
+    delivery: result.delivery,
+  };
+}
+
+app.post(
+  '/api/notify/video-call',
+  authenticate({ scope: 'notify', actorField: 'callerId' }),
+  validateRequest({ ...VIDEO_CALL_NOTIFICATION_SCHEMA, ...SCHEDULE_SCHEMA }),
+  enqueueNotification('video_call', {
+    precheck: ({ recipientId }, { scheduled }) => precheckRecipient(recipientId, { type: 'video_call', scheduled }),
+  })
+);
 
 // =======================
-// API: notify/group-invite
+// API: notify/<route> (lib/notification-types.js)
 // =======================
 
 /**
- * Notify when user is invited to a group
- * POST /api/notify/group-invite
- * body: { recipientId, groupId, groupName?, inviterId, inviterName? }
+ * Job handler chung cho các loại khai báo trong NOTIFICATION_TYPE_REGISTRY
+ * (friend-request, friend-request-accepted, post-comment, post-reaction, post-share,
+ * comment-reply, comment-like, group-invite, mention)
+ * POST /api/notify/<route> → 202 { jobId }, job type = type
+ * body: xem từng entry trong lib/notification-types.js
+ * @param {string} type
  */
-app.post('/api/notify/group-invite', async (req, res) => {
-  try {
-    const { recipientId, groupId, groupName, inviterId, inviterName } = req.body;
+function createNotifyJob(type) {
+  const definition = NOTIFICATION_TYPE_REGISTRY[type];
+  const { recipientField, recipientLabel, actorField, actorNameField, aggregateBy } = definition;
+
+  return async (input, job) => {
+    const recipientId = input[recipientField];
+    const actor = { id: input[actorField], name: input[actorNameField] };
 
-    if (!recipientId || !groupId || !inviterId) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    if (definition.selfMessage && recipientId === actor.id) {
+      return { success: true, message: definition.selfMessage, sent: 0 };
     }
 
-    const { fcmToken, exists } = await getUserFcmToken(recipientId);
+    const { devices, exists, locale, preferences, quietHours } = await getUserDevices(recipientId);
+    const channels = getChannelPreferences(preferences, type);
 
     if (!exists) {
-      return res.status(404).json({ error: 'Recipient not found' });
+      throw new JobFailedError(`${recipientLabel} not found`, { status: 404 });
     }
 
-    if (!fcmToken) {
-      return res.status(400).json({ error: 'Recipient has no FCM token' });
+    // Chỉ cần token khi user bật push cho loại thông báo này
+    if (channels.push && devices.length === 0) {
+      throw new JobFailedError(`${recipientLabel} has no FCM token`, { status: 400 });
     }
 
-    const title = 'Lời mời vào nhóm';
-    const body = inviterName && groupName
-      ? `${inviterName} đã mời bạn vào nhóm "${groupName}"`
-      : 'Bạn được mời vào một nhóm chat mới';
-
-    const result = await sendFcmToToken(fcmToken, {
-      notification: { title, body },
-      data: {
-        type: 'group_invite',
-        groupId,
-        inviterId,
-        screen: 'Chat_fr',
-      },
-      androidChannelId: 'messages',
+    const target = getTarget(type, definition.target(input));
+    const data = buildInAppData(type, input);
+    const formatSingle = () => formatNotification(locale, type, definition.text(input, locale));
+
+    // Lưu in-app (nếu user bật): gộp theo aggregateBy hoặc lưu riêng.
+    // Lưu vào job → lần thử lại (chỉ push lỗi) không lưu / đếm actor 2 lần
+    const saved = await job.step('save', async () => {
+      if (aggregateBy) {
+        return saveAggregatedNotification({
+          recipientId,
+          type,
+          groupId: input[aggregateBy],
+          actor,
+          target,
+          data,
+          locale,
+          saveInApp: channels.inApp,
+          formatSingle,
+        });
+      }
+      const { title, body } = formatSingle();
+      const notificationId = channels.inApp
+        ? await saveNotificationToFirestore({ recipientId, type, title, body, locale, actor, target, data })
+        : null;
+      return { notificationId, title, body };
     });
 
-    // Save notification to Firestore
-    await saveNotificationToFirestore(recipientId, 'group_invite', title, body, {
-      groupId,
-      groupName: groupName || '',
-      inviterId,
-      inviterName: inviterName || '',
-      screen: 'Chat_fr',
-    });
+    const result = await sendPushIfEnabled(
+      channels,
+      devices,
+      buildPushPayload(type, input, saved),
+      { recipientId, quietHours, type, senderId: actor.id }
+    );
 
-    res.json({
+    return {
       success: true,
-      messageId: result,
-    });
-  } catch (error) {
-    console.error('Error sending group invite notification:', error);
-    res.status(500).json({
-      error: 'Failed to send notification',
-      message: error.message,
-    });
-  }
-});
-
-// =======================
-// API: notify/mention
-// =======================
+      messageId: result.messageId,
+      sent: result.sent,
+      total: result.total,
+      pruned: result.pruned,
+      results: result.results,
+      channels,
+      delivery: result.delivery,
+      ...(result.deferredUntil ? { deferredUntil: result.deferredUntil } : {}),
+      notificationId: saved.notificationId,
+      ...(aggregateBy ? { aggregated: saved.aggregated, actorCount: saved.actorCount } : {}),
+    };
+  };
+}
 
 /**
- * Notify when user is mentioned in a post or comment
- * POST /api/notify/mention
- * body: { recipientId, mentionerId, mentionerName?, postId?, commentId?, type: 'post' | 'comment' }
+ * Precheck chung cho các loại trong NOTIFICATION_TYPE_REGISTRY: tự gửi cho mình → 200 sent 0 (không tạo job),
+ * người nhận không tồn tại / không có thiết bị → 404 / 400
+ * @param {string} type
  */
-app.post('/api/notify/mention', async (req, res) => {
-  try {
-    const { recipientId, mentionerId, mentionerName, postId, commentId, type } = req.body;
+function createNotifyPrecheck(type) {
+  const { recipientField, recipientLabel, actorField, selfMessage } = NOTIFICATION_TYPE_REGISTRY[type];
 
-    if (!recipientId || !mentionerId) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
-
-    // Don't notify if user mentions themselves
-    if (recipientId === mentionerId) {
-      return res.json({
-        success: true,
-        message: 'User mentioned themselves, no notification needed',
-        sent: 0,
-      });
-    }
-
-    const { fcmToken, exists } = await getUserFcmToken(recipientId);
-
-    if (!exists) {
-      return res.status(404).json({ error: 'Recipient not found' });
+  return async (input, { scheduled }) => {
+    if (selfMessage && input[recipientField] === input[actorField]) {
+      return { status: 200, body: { success: true, message: selfMessage, sent: 0 } };
     }
+    return precheckRecipient(input[recipientField], { type, label: recipientLabel, scheduled });
+  };
+}
 
-    if (!fcmToken) {
-      return res.status(400).json({ error: 'Recipient has no FCM token' });
-    }
+Object.entries(NOTIFICATION_TYPE_REGISTRY).forEach(([type, definition]) => {
+  app.post(
+    `/api/notify/${definition.route}`,
+    authenticate({ scope: 'notify', actorField: definition.actorField }),
+    validateRequest({ ...definition.schema, ...SCHEDULE_SCHEMA }),
+    enqueueNotification(type, { precheck: createNotifyPrecheck(type) })
+  );
+});
 
-    const title = 'Bạn được nhắc đến';
-    const body = mentionerName
-      ? `${mentionerName} đã nhắc đến bạn trong ${type === 'comment' ? 'bình luận' : 'bài viết'}`
-      : `Bạn được nhắc đến trong một ${type === 'comment' ? 'bình luận' : 'bài viết'}`;
+// =======================
+// API: admin/retention
+// =======================
 
-    const result = await sendFcmToToken(fcmToken, {
-      notification: { title, body },
-      data: {
-        type: 'mention',
-        mentionType: type || 'post',
-        postId: postId || '',
-        commentId: commentId || '',
-        mentionerId,
-        screen: 'PostDetail',
-      },
-      androidChannelId: 'posts',
-    });
+/**
+ * Chạy dọn dẹp notifications ngay (không chờ lịch)
+ * POST /api/admin/retention/run
+ * body: { dryRun?: boolean } - dryRun chỉ đếm, không xoá / ghi
+ */
+app.post('/api/admin/retention/run', authenticate({ scope: 'admin', allowUsers: false }), validateRequest({ dryRun: { type: 'boolean' } }), async (req, res) => {
+  try {
+    const { dryRun = false } = req.body;
 
-    // Save notification to Firestore
-    await saveNotificationToFirestore(recipientId, 'mention', title, body, {
-      mentionType: type || 'post',
-      postId: postId || '',
-      commentId: commentId || '',
-      mentionerId,
-      mentionerName: mentionerName || '',
-      screen: 'PostDetail',
-    });
+    console.log(`🧹 Retention triggered by ${req.auth.name}${dryRun ? ' (dry run)' : ''}`);
+    const stats = await retention.run({ dryRun });
+    console.log('🧹 Retention finished:', JSON.stringify(stats));
 
     res.json({
       success: true,
-      messageId: result,
+      policy: retention.policy,
+      ...stats,
     });
   } catch (error) {
-    console.error('Error sending mention notification:', error);
+    if (error.code === 'RETENTION_RUNNING') {
+      return res.status(409).json({
+        error: error.message,
+        code: error.code,
+      });
+    }
+    console.error('Error running retention:', error);
     res.status(500).json({
-      error: 'Failed to send notification',
+      error: 'Failed to run retention',
       message: error.message,
     });
   }
@@ -1517,6 +3707,39 @@ function startAutoPing() {
   }, PING_INTERVAL);
 }
 
+// =======================
+// Scheduled notification retention
+// =======================
+const RETENTION_INITIAL_DELAY = 5 * 60 * 1000; // Chờ server ổn định sau khi deploy
+
+function startRetentionJob() {
+  if (RETENTION_INTERVAL_HOURS <= 0) {
+    console.log('⏸️ Notification retention job disabled');
+    return;
+  }
+
+  const { readDays, unreadDays, action, maxPerUser } = RETENTION_POLICY;
+  console.log(
+    `🧹 Notification retention every ${RETENTION_INTERVAL_HOURS}h: ${action} read > ${readDays}d, unread > ${unreadDays}d, max ${maxPerUser || '∞'}/user`
+  );
+
+  const runJob = async () => {
+    try {
+      const stats = await retention.run();
+      console.log(`🧹 Retention finished at ${new Date().toISOString()}:`, JSON.stringify(stats));
+    } catch (error) {
+      if (error.code === 'RETENTION_RUNNING') {
+        console.log(`⏭️ Retention skipped: ${error.message}`);
+        return;
+      }
+      console.error(`❌ Retention failed at ${new Date().toISOString()}:`, error.message);
+    }
+  };
+
+  setTimeout(runJob, RETENTION_INITIAL_DELAY).unref();
+  setInterval(runJob, RETENTION_INTERVAL_HOURS * HOUR_MS).unref();
+}
+
 // =======================
 // Start server
 // =======================
@@ -1526,4 +3749,6 @@ app.listen(PORT, () => {
   
   // Start auto-ping after server is running
   startAutoPing();
+  startRetentionJob();
+  notificationQueue.start();
 });
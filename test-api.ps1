@@ -4,6 +4,8 @@ Write-Host "🧪 ChatLofi Notification Server - API Test Script" -ForegroundColo
 Write-Host ""
 
 $baseUrl = "http://localhost:3000"
+$apiKey = $env:API_KEY  # API key có scope "*" (hoặc "send" + "notify")
+$headers = @{ "x-api-key" = $apiKey }
 
 # Function to test endpoint
 function Test-Endpoint {
@@ -22,6 +24,7 @@ function Test-Endpoint {
             $jsonBody = $Body | ConvertTo-Json
             $response = Invoke-WebRequest -Uri "$baseUrl$Endpoint" `
                 -Method $Method `
+                -Headers $headers `
                 -Body $jsonBody `
                 -ContentType "application/json" `
                 -ErrorAction Stop
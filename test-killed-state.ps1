@@ -47,7 +47,7 @@ $body = @{
 } | ConvertTo-Json -Depth 3
 
 try {
-    $response = Invoke-RestMethod -Uri "$serverUrl/api/send-notification" -Method Post -Body $body -ContentType "application/json"
+    $response = Invoke-RestMethod -Uri "$serverUrl/api/send-notification" -Method Post -Headers @{ "x-api-key" = $env:API_KEY } -Body $body -ContentType "application/json"
     
     Write-Host "============================================" -ForegroundColor Green
     Write-Host "SUCCESS!" -ForegroundColor Green
@@ -0,0 +1,95 @@
+/**
+ * Push bị hoãn bởi quiet hours (mode 'defer') qua hàng đợi job backend memory.
+ * Chạy: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createJobStore, createJobQueue } = require('../lib/job-queue');
+const {
+  DEFERRED_PUSH_JOB,
+  getDeferredPushJobId,
+  enqueueDeferredPush,
+  createDeferredPushHandler,
+} = require('../lib/deferred-push');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function waitFor(predicate, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (await predicate()) return;
+    await sleep(5);
+  }
+  throw new Error(`Condition not met in ${timeoutMs}ms`);
+}
+
+const recipient = { exists: true, devices: [{ id: 'd1', token: 't1' }] };
+const payload = { notification: { title: 'An', body: 'Hi' }, data: { type: 'new_message' }, collapseKey: 'chat_c1' };
+
+/**
+ * Queue với handler DEFERRED_PUSH_JOB thật; `stillQuiet()` quyết định lúc gửi người nhận còn trong quiet hours không
+ * (giống sendPushIfEnabled: còn → hẹn lại sau `redeferMs`)
+ */
+function createDeferredQueue({ stillQuiet = () => false, redeferMs = 30 } = {}) {
+  const deliveries = [];
+  let queue;
+  const handler = createDeferredPushHandler({
+    getRecipient: async () => recipient,
+    send: async (_, body, { recipientId, type, senderId }) => {
+      if (stillQuiet()) {
+        const runAt = Date.now() + redeferMs;
+        await enqueueDeferredPush(queue, { recipientId, payload: body, type, senderId }, runAt);
+        return { sent: 0, total: 0, pruned: 0, delivery: 'deferred', deferredUntil: new Date(runAt).toISOString() };
+      }
+      deliveries.push({ recipientId, body });
+      return { sent: 1, total: 1, pruned: 0, delivery: 'immediate' };
+    },
+  });
+  queue = createJobQueue({
+    store: createJobStore({ driver: 'memory' }),
+    handlers: { [DEFERRED_PUSH_JOB]: handler },
+    pollIntervalMs: 1000,
+  });
+  return { queue, deliveries };
+}
+
+test('a deferred push is delivered when quiet hours end', async () => {
+  const { queue, deliveries } = createDeferredQueue();
+
+  const job = await enqueueDeferredPush(queue, { recipientId: 'u1', payload, type: 'new_message' }, Date.now() + 30);
+  assert.equal(job.status, 'queued');
+  assert.deepEqual(deliveries, []);
+
+  await waitFor(async () => (await queue.get(job.id)).status === 'succeeded');
+  assert.deepEqual(deliveries, [{ recipientId: 'u1', body: payload }]);
+});
+
+test('a push deferred again while running is not lost', async () => {
+  let runs = 0;
+  const { queue, deliveries } = createDeferredQueue({ stillQuiet: () => (runs += 1) === 1 });
+
+  const first = await enqueueDeferredPush(queue, { recipientId: 'u1', payload, type: 'new_message' }, Date.now() + 10);
+  await waitFor(() => deliveries.length === 1);
+
+  const done = await queue.get(first.id);
+  assert.equal(done.status, 'succeeded');
+  assert.equal(done.result.delivery, 'deferred');
+  assert.equal(runs, 2);
+  assert.deepEqual(deliveries, [{ recipientId: 'u1', body: payload }]);
+});
+
+test('pushes with the same collapse key in one quiet period keep only the latest', async () => {
+  const { queue } = createDeferredQueue();
+  const runAt = Date.now() + 60 * 60 * 1000;
+
+  const older = await enqueueDeferredPush(queue, { recipientId: 'u1', payload, type: 'new_message' }, runAt);
+  const latest = { ...payload, notification: { title: 'An', body: '3 tin nhắn mới' } };
+  const newer = await enqueueDeferredPush(queue, { recipientId: 'u1', payload: latest, type: 'new_message' }, runAt);
+
+  assert.equal(older.id, newer.id);
+  assert.deepEqual((await queue.get(newer.id)).payload.payload, latest);
+  assert.notEqual(getDeferredPushJobId('u1', payload, runAt), getDeferredPushJobId('u2', payload, runAt));
+  assert.notEqual(getDeferredPushJobId('u1', payload, runAt), getDeferredPushJobId('u1', payload, runAt + 1));
+});
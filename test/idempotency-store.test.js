@@ -0,0 +1,25 @@
+/**
+ * Idempotency store backend memory (cùng interface với Firestore).
+ * Chạy: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createIdempotencyStore } = require('../lib/idempotency-store');
+
+test('idempotency store: first reserve wins until the key expires or is released', async () => {
+  const store = createIdempotencyStore({ driver: 'memory' });
+
+  assert.deepEqual(await store.reserve('k', { value: { jobId: 'j1' }, ttlMs: 1000 }), { reserved: true });
+  assert.deepEqual(await store.reserve('k', { value: { jobId: 'j2' }, ttlMs: 1000 }), {
+    reserved: false,
+    value: { jobId: 'j1' },
+  });
+
+  await store.release('k');
+  assert.deepEqual(await store.reserve('k', { value: { jobId: 'j3' }, ttlMs: 1 }), { reserved: true });
+
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  assert.deepEqual(await store.reserve('k', { value: { jobId: 'j4' }, ttlMs: 1000 }), { reserved: true });
+});
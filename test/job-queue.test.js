@@ -0,0 +1,234 @@
+/**
+ * Hàng đợi job với backend memory (cùng logic claim / retry / lease như Firestore).
+ * Chạy: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { JobFailedError, createJobStore, createJobQueue } = require('../lib/job-queue');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Chờ job kết thúc (succeeded / dead / cancelled)
+ * @param {ReturnType<typeof createJobQueue>} queue
+ * @param {string} id
+ */
+async function waitForJob(queue, id, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const job = await queue.get(id);
+    if (['succeeded', 'dead', 'cancelled'].includes(job.status)) return job;
+    await sleep(5);
+  }
+  throw new Error(`Job ${id} did not finish in ${timeoutMs}ms`);
+}
+
+function createQueue(handlers, options = {}) {
+  const store = createJobStore({ driver: 'memory' });
+  const queue = createJobQueue({ store, handlers, baseDelayMs: 1, maxDelayMs: 5, pollIntervalMs: 20, ...options });
+  return { store, queue };
+}
+
+test('runs a job and stores its result', async () => {
+  const { queue } = createQueue({ echo: async (payload, job) => ({ ...payload, attempts: job.attempts }) });
+
+  const { id } = await queue.enqueue('echo', { value: 1 }, { createdBy: { type: 'user', uid: 'u1' } });
+  const job = await waitForJob(queue, id);
+
+  assert.equal(job.status, 'succeeded');
+  assert.deepEqual(job.result, { value: 1, attempts: 1 });
+  assert.deepEqual(job.createdBy, { type: 'user', uid: 'u1' });
+  assert.equal(job.lockedUntil, null);
+});
+
+test('rejects unknown job types at enqueue', async () => {
+  const { queue } = createQueue({});
+  await assert.rejects(queue.enqueue('missing', {}), /Unknown job type: missing/);
+});
+
+test('retries retryable errors and reuses completed steps', async () => {
+  let saves = 0;
+  let pushes = 0;
+  const { queue } = createQueue({
+    notify: async (payload, job) => {
+      const saved = await job.step('save', async () => {
+        saves += 1;
+        return { notificationId: 'n1' };
+      });
+      pushes += 1;
+      if (pushes < 3) {
+        throw Object.assign(new Error('FCM unavailable'), { retryable: true });
+      }
+      return saved;
+    },
+  });
+
+  const { id } = await queue.enqueue('notify', {});
+  const job = await waitForJob(queue, id);
+
+  assert.equal(job.status, 'succeeded');
+  assert.equal(job.attempts, 3);
+  assert.equal(saves, 1);
+  assert.deepEqual(job.result, { notificationId: 'n1' });
+});
+
+test('moves JobFailedError straight to the dead letters', async () => {
+  let runs = 0;
+  const { store, queue } = createQueue(
+    {
+      notify: async () => {
+        runs += 1;
+        throw new JobFailedError('Recipient not found', { status: 404 });
+      },
+    },
+    { isRetryable: () => true }
+  );
+
+  const { id } = await queue.enqueue('notify', {});
+  const job = await waitForJob(queue, id);
+
+  assert.equal(runs, 1);
+  assert.equal(job.status, 'dead');
+  assert.deepEqual(job.error, { message: 'Recipient not found', status: 404 });
+  assert.ok(store.deadLetters.has(id));
+});
+
+test('gives up after maxAttempts', async () => {
+  const { queue } = createQueue({ notify: async () => { throw new Error('timeout'); } }, {
+    isRetryable: () => true,
+    maxAttempts: 2,
+  });
+
+  const { id } = await queue.enqueue('notify', {});
+  const job = await waitForJob(queue, id);
+
+  assert.equal(job.status, 'dead');
+  assert.equal(job.attempts, 2);
+});
+
+test('extends the lease of a long job so it is not run twice', async () => {
+  let runs = 0;
+  const handlers = {
+    fanout: async () => {
+      runs += 1;
+      await sleep(600);
+      return { sent: 1 };
+    },
+  };
+  // 2 instance dùng chung store: instance b quét job bị treo liên tục trong lúc a đang chạy
+  const store = createJobStore({ driver: 'memory' });
+  const a = createJobQueue({ store, handlers, leaseMs: 200, pollIntervalMs: 1000 });
+  const b = createJobQueue({ store, handlers, leaseMs: 200, pollIntervalMs: 10 });
+
+  const { id } = await a.enqueue('fanout', {});
+  await sleep(10);
+  b.start();
+  try {
+    const job = await waitForJob(a, id);
+    assert.equal(job.status, 'succeeded');
+    assert.equal(runs, 1);
+  } finally {
+    b.stop();
+  }
+});
+
+test('never reclaims a job that is still running locally', async () => {
+  let runs = 0;
+  const { queue } = createQueue(
+    {
+      fanout: async () => {
+        runs += 1;
+        await sleep(100);
+        return { sent: 1 };
+      },
+    },
+    // Lease hết ngay (heartbeat chưa kịp chạy) → chỉ activeIds ngăn instance tự lấy lại job
+    { leaseMs: 1 }
+  );
+
+  const { id } = await queue.enqueue('fanout', {});
+  await sleep(10);
+  await queue.tick({ recoverStale: true });
+  await queue.tick({ recoverStale: true });
+
+  const job = await waitForJob(queue, id);
+  assert.equal(job.status, 'succeeded');
+  assert.equal(runs, 1);
+});
+
+test('getBackoffMs grows exponentially with equal jitter', () => {
+  const { queue } = createQueue({}, { baseDelayMs: 1000, maxDelayMs: 4000 });
+  for (let i = 0; i < 20; i += 1) {
+    const first = queue.getBackoffMs(1);
+    const capped = queue.getBackoffMs(10);
+    assert.ok(first >= 500 && first <= 1000);
+    assert.ok(capped >= 2000 && capped <= 4000);
+  }
+});
+
+test('keeps scheduled jobs queued until runAt and lets them be cancelled', async () => {
+  const { queue } = createQueue({ notify: async () => ({ sent: 1 }) });
+
+  const runAt = Date.now() + 60 * 60 * 1000;
+  const job = await queue.enqueue('notify', {}, { runAt });
+  assert.equal(job.scheduled, true);
+  assert.equal(job.sendAt, runAt);
+
+  await queue.tick({ recoverStale: true });
+  assert.equal((await queue.get(job.id)).status, 'queued');
+  assert.deepEqual((await queue.listScheduled()).map((j) => j.id), [job.id]);
+
+  const { cancelled } = await queue.cancel(job.id);
+  assert.equal(cancelled, true);
+  assert.equal((await queue.get(job.id)).status, 'cancelled');
+  assert.deepEqual(await queue.listScheduled(), []);
+});
+
+test('delayed internal jobs are not listed as scheduled', async () => {
+  const { queue } = createQueue({ flush: async () => ({ sent: 1 }) });
+
+  const job = await queue.enqueue('flush', {}, { runAt: Date.now() + 60 * 60 * 1000, scheduled: false });
+  assert.equal(job.scheduled, false);
+  assert.equal(job.sendAt, null);
+  assert.ok(job.runAt > Date.now());
+  assert.deepEqual(await queue.listScheduled(), []);
+});
+
+test('re-enqueueing its own id from inside the handler keeps the new job', async () => {
+  let runs = 0;
+  const { queue } = createQueue({
+    notify: async (payload, job) => {
+      runs += 1;
+      // Job đang chạy không bị thay → lần hẹn lại phải dùng id khác; cùng id chỉ trả về job đang chạy
+      const same = await queue.enqueue('notify', {}, { id: job.id, runAt: Date.now() + 20, scheduled: false });
+      assert.equal(same.status, 'running');
+      if (runs === 1) await queue.enqueue('notify', {}, { id: `${job.id}_again`, runAt: Date.now() + 20, scheduled: false });
+      return { runs };
+    },
+  });
+
+  const { id } = await queue.enqueue('notify', {});
+  const first = await waitForJob(queue, id);
+  const second = await waitForJob(queue, `${id}_again`);
+
+  assert.equal(first.status, 'succeeded');
+  assert.equal(second.status, 'succeeded');
+  assert.equal(runs, 2);
+});
+
+test('a run whose job was taken over does not overwrite the new run', async () => {
+  const store = createJobStore({ driver: 'memory' });
+  const queue = createJobQueue({ store, handlers: { notify: async () => ({}) }, pollIntervalMs: 1000 });
+  await store.insert({ id: 'j1', type: 'notify', status: 'queued', runAt: Date.now() + 60000, attempts: 0, steps: {} });
+
+  const [claimed] = await store.claim({ now: Date.now() + 60000, limit: 1, leaseMs: 1, recoverStale: false });
+  const [reclaimed] = await store.claim({ now: Date.now() + 60001, limit: 1, leaseMs: 1000, recoverStale: true });
+  assert.notEqual(claimed.runId, reclaimed.runId);
+
+  assert.equal(await store.update('j1', { status: 'succeeded' }, { runId: claimed.runId }), false);
+  assert.equal(await store.deadLetter('j1', { status: 'dead' }, { runId: claimed.runId }), false);
+  assert.equal((await queue.get('j1')).status, 'running');
+  assert.equal(await store.update('j1', { status: 'succeeded' }, { runId: reclaimed.runId }), true);
+});
@@ -0,0 +1,204 @@
+/**
+ * Registry phải cho ra đúng payload như các route viết tay trước đây (app đã phát hành route theo
+ * data.type / screen / channel và đọc các field trong data của push + notification in-app).
+ * Chạy: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { formatNotification } = require('../lib/i18n');
+const { createNotificationDocument, getTarget, migrateNotification } = require('../lib/notification-schema');
+const {
+  NOTIFICATION_TYPE_REGISTRY,
+  assertValidRegistry,
+  buildPushPayload,
+  buildInAppData,
+} = require('../lib/notification-types');
+
+// Body mẫu + payload mà handler cũ (trước registry) gửi / lưu với body đó
+const LEGACY_CASES = {
+  friend_request: {
+    input: { recipientId: 'u1', senderId: 'u2', senderName: 'An' },
+    title: 'An',
+    body: 'An đã gửi cho bạn lời mời kết bạn',
+    androidChannelId: 'friend_requests',
+    pushData: { type: 'friend_request', senderId: 'u2', screen: 'FriendRequests' },
+    inAppData: { senderId: 'u2', senderName: 'An' },
+  },
+  friend_accept: {
+    input: { recipientId: 'u1', acceptorId: 'u2', acceptorName: 'An' },
+    title: 'Lời mời kết bạn được chấp nhận',
+    body: 'An đã chấp nhận lời mời kết bạn của bạn',
+    androidChannelId: 'friend_requests',
+    pushData: { type: 'friend_request_accepted', acceptorId: 'u2', screen: 'Personal_page' },
+    inAppData: { senderId: 'u2', senderName: 'An' },
+  },
+  post_comment: {
+    input: { postId: 'p1', postOwnerId: 'u1', commenterId: 'u2', commenterName: 'An', commentText: 'Hay quá' },
+    title: 'Bình luận mới',
+    body: 'An đã bình luận: "Hay quá"',
+    androidChannelId: 'posts',
+    pushData: { type: 'post_comment', postId: 'p1', commenterId: 'u2', screen: 'PostDetail' },
+    inAppData: { postId: 'p1', senderId: 'u2', senderName: 'An', commentText: 'Hay quá' },
+  },
+  post_reaction: {
+    input: { postId: 'p1', postOwnerId: 'u1', reactorId: 'u2', reactorName: 'An', reactionType: 'love' },
+    title: 'Biểu cảm mới',
+    body: 'An ❤️ bài viết của bạn',
+    androidChannelId: 'posts',
+    pushData: { type: 'post_reaction', postId: 'p1', reactorId: 'u2', reactionType: 'love', screen: 'PostDetail' },
+    inAppData: { postId: 'p1', senderId: 'u2', senderName: 'An', reactionType: 'love' },
+  },
+  post_share: {
+    input: { postId: 'p1', postOwnerId: 'u1', sharerId: 'u2', sharerName: 'An' },
+    title: 'Bài viết được chia sẻ',
+    body: 'An đã chia sẻ bài viết của bạn',
+    androidChannelId: 'posts',
+    pushData: { type: 'post_share', postId: 'p1', sharerId: 'u2', screen: 'PostDetail' },
+    inAppData: { postId: 'p1', senderId: 'u2', senderName: 'An' },
+  },
+  comment_reply: {
+    input: { postId: 'p1', commentId: 'c1', commentOwnerId: 'u1', replierId: 'u2', replierName: 'An', replyText: 'Ok' },
+    title: 'Trả lời bình luận',
+    body: 'An đã trả lời bình luận của bạn: "Ok"',
+    androidChannelId: 'posts',
+    pushData: { type: 'comment_reply', postId: 'p1', replierId: 'u2', screen: 'PostDetail' },
+    inAppData: { postId: 'p1', senderId: 'u2', senderName: 'An', replyText: 'Ok' },
+  },
+  comment_like: {
+    input: { postId: 'p1', commentId: 'c1', commentOwnerId: 'u1', likerId: 'u2', likerName: 'An' },
+    title: 'Bình luận được thích',
+    body: 'An đã thích bình luận của bạn',
+    androidChannelId: 'posts',
+    pushData: { type: 'comment_like', postId: 'p1', commentId: 'c1', likerId: 'u2', screen: 'PostDetail' },
+    inAppData: { postId: 'p1', commentId: 'c1', senderId: 'u2', senderName: 'An' },
+  },
+  group_invite: {
+    input: { recipientId: 'u1', groupId: 'g1', groupName: 'Nhóm học', inviterId: 'u2', inviterName: 'An' },
+    title: 'Lời mời vào nhóm',
+    body: 'An đã mời bạn vào nhóm "Nhóm học"',
+    androidChannelId: 'messages',
+    pushData: { type: 'group_invite', groupId: 'g1', inviterId: 'u2', screen: 'Chat_fr' },
+    inAppData: { groupId: 'g1', groupName: 'Nhóm học', inviterId: 'u2', inviterName: 'An', screen: 'Chat_fr' },
+  },
+  mention: {
+    input: { recipientId: 'u1', mentionerId: 'u2', mentionerName: 'An', postId: 'p1', commentId: 'c1', type: 'comment' },
+    title: 'Bạn được nhắc đến',
+    body: 'An đã nhắc đến bạn trong bình luận',
+    androidChannelId: 'posts',
+    pushData: { type: 'mention', mentionType: 'comment', postId: 'p1', commentId: 'c1', mentionerId: 'u2', screen: 'PostDetail' },
+    inAppData: {
+      mentionType: 'comment',
+      postId: 'p1',
+      commentId: 'c1',
+      mentionerId: 'u2',
+      mentionerName: 'An',
+      screen: 'PostDetail',
+    },
+  },
+};
+
+test('every registry type has a legacy parity case', () => {
+  assert.deepEqual(Object.keys(LEGACY_CASES).sort(), Object.keys(NOTIFICATION_TYPE_REGISTRY).sort());
+});
+
+Object.entries(LEGACY_CASES).forEach(([type, expected]) => {
+  const definition = NOTIFICATION_TYPE_REGISTRY[type];
+
+  test(`${type}: Vietnamese text matches the legacy handler`, () => {
+    const { title, body } = formatNotification('vi', type, definition.text(expected.input, 'vi'));
+    assert.equal(title, expected.title);
+    assert.equal(body, expected.body);
+  });
+
+  test(`${type}: push data, screen and channel match the legacy handler`, () => {
+    const payload = buildPushPayload(type, expected.input, { title: expected.title, body: expected.body, actorCount: 1 });
+
+    // Loại gộp gửi thêm actorCount (field mới, app cũ bỏ qua)
+    const pushData = definition.aggregateBy ? { ...expected.pushData, actorCount: '1' } : expected.pushData;
+    assert.deepEqual(payload.data, pushData);
+    assert.deepEqual(payload.notification, { title: expected.title, body: expected.body });
+    assert.equal(payload.androidChannelId, expected.androidChannelId);
+  });
+
+  test(`${type}: in-app data keeps the legacy fields`, () => {
+    const data = buildInAppData(type, expected.input);
+    // '' / undefined bị bỏ khi lưu (createNotificationDocument), giống saveNotificationToFirestore cũ
+    const stored = Object.fromEntries(Object.entries(data).filter(([_, value]) => value !== undefined && value !== ''));
+    assert.deepEqual(stored, expected.inAppData);
+  });
+
+  test(`${type}: migrated legacy document matches a freshly written one`, () => {
+    const recipientId = expected.input[definition.recipientField];
+    const migrated = migrateNotification({
+      recipientId,
+      type,
+      title: expected.title,
+      body: expected.body,
+      data: expected.inAppData,
+      read: false,
+    });
+    // Giống dispatcher trong server.js (bỏ aggregation: document cũ không có field gộp)
+    const fresh = createNotificationDocument({
+      recipientId,
+      type,
+      title: expected.title,
+      body: expected.body,
+      locale: 'vi',
+      actor: { id: expected.input[definition.actorField], name: expected.input[definition.actorNameField] },
+      target: getTarget(type, definition.target(expected.input)),
+      data: buildInAppData(type, expected.input),
+    });
+    const { read, archived, ...rest } = migrated;
+    // comment_reply cũ không lưu commentId → document đã chuyển chỉ trỏ tới bài viết
+    if (type === 'comment_reply') {
+      assert.deepEqual(rest.target, { kind: 'post', id: expected.input.postId });
+      assert.deepEqual({ ...rest, target: null }, { ...fresh, target: null });
+    } else {
+      assert.deepEqual(rest, fresh);
+    }
+  });
+
+  test(`${type}: push data values are strings (FCM only accepts string data)`, () => {
+    const payload = buildPushPayload(type, expected.input, { title: 't', body: 'b', actorCount: 3 });
+    Object.entries(payload.data).forEach(([key, value]) => {
+      assert.equal(typeof value, 'string', `data.${key}`);
+    });
+  });
+});
+
+test('post_reaction defaults to like when reactionType is missing', () => {
+  const input = { postId: 'p1', postOwnerId: 'u1', reactorId: 'u2' };
+  const { body } = formatNotification('vi', 'post_reaction', NOTIFICATION_TYPE_REGISTRY.post_reaction.text(input, 'vi'));
+  assert.equal(body, 'Có người 👍 bài viết của bạn');
+  assert.equal(buildPushPayload('post_reaction', input, { title: 't', body, actorCount: 1 }).data.reactionType, 'like');
+});
+
+test('mention without type targets a post', () => {
+  const input = { recipientId: 'u1', mentionerId: 'u2', postId: 'p1' };
+  const { data } = buildPushPayload('mention', input, { title: 't', body: 'b' });
+  assert.equal(data.mentionType, 'post');
+  assert.equal(data.commentId, '');
+});
+
+test('assertValidRegistry accepts the shipped registry', () => {
+  assert.doesNotThrow(() => assertValidRegistry(NOTIFICATION_TYPE_REGISTRY));
+});
+
+test('assertValidRegistry rejects invalid entries', () => {
+  const valid = NOTIFICATION_TYPE_REGISTRY.friend_request;
+  const cases = [
+    [{ unknown_type: valid }, /not in NOTIFICATION_TYPES/],
+    [{ friend_request: valid, friend_accept: { ...NOTIFICATION_TYPE_REGISTRY.friend_accept, route: valid.route } }, /duplicate route/],
+    [{ friend_request: { ...valid, schema: { ...valid.schema, recipientId: { type: 'id' } } } }, /recipientId must be required/],
+    [{ friend_request: { ...valid, pushData: null } }, /pushData must be a function/],
+    [{ friend_request: { ...valid, legacyData: undefined } }, /legacyData must be a function/],
+    [{ friend_request: { ...valid, screen: '' } }, /screen is required/],
+    [{ friend_request: { ...valid, pushType: '' } }, /pushType must be a non-empty string/],
+  ];
+
+  cases.forEach(([registry, message]) => {
+    assert.throws(() => assertValidRegistry(registry), message);
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * OTP store backend memory (cùng interface với Firestore).
+ * Chạy: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createOtpStore } = require('../lib/otp-store');
+
+test('otp store: keys ignore email case, attempts are counted', async () => {
+  const store = createOtpStore({ driver: 'memory' });
+  const record = { otpHash: 'h', salt: 's', expiresAt: Date.now() + 1000, attempts: 0, createdAt: Date.now() };
+
+  await store.set('signup:An@Example.com ', record);
+  assert.deepEqual(await store.get('signup:an@example.com'), record);
+
+  assert.equal(await store.incrementAttempts('signup:an@example.com'), 1);
+  assert.equal(await store.incrementAttempts('signup:AN@example.com'), 2);
+  assert.equal(await store.incrementAttempts('login:an@example.com'), null);
+
+  await store.delete('signup:an@example.com');
+  assert.equal(await store.get('signup:an@example.com'), null);
+});
+
+test('otp store: concurrent attempts each reserve a distinct count', async () => {
+  const store = createOtpStore({ driver: 'memory' });
+  await store.set('signup:an@example.com', {
+    otpHash: 'h', salt: 's', expiresAt: Date.now() + 1000, attempts: 0, createdAt: Date.now(),
+  });
+
+  const counts = await Promise.all(
+    Array.from({ length: 5 }, () => store.incrementAttempts('signup:an@example.com'))
+  );
+  assert.deepEqual([...counts].sort(), [1, 2, 3, 4, 5]);
+});
+
+test('otp store: unknown driver is rejected', () => {
+  assert.throws(() => createOtpStore({ driver: 'redis' }), /Unknown/);
+});
@@ -0,0 +1,30 @@
+/**
+ * Tính khung giờ yên lặng theo múi giờ của user.
+ * Chạy: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeQuietHours, isWithinQuietHours, getQuietHoursEnd } = require('../lib/quiet-hours');
+
+const quietHours = normalizeQuietHours({
+  enabled: true,
+  start: '22:00',
+  end: '07:00',
+  timezone: 'Asia/Ho_Chi_Minh',
+  mode: 'defer',
+});
+
+test('quiet hours spanning midnight use the user timezone', () => {
+  assert.equal(isWithinQuietHours(quietHours, new Date('2026-10-19T16:30:00Z')), true); // 23:30 VN
+  assert.equal(isWithinQuietHours(quietHours, new Date('2026-10-19T23:30:00Z')), true); // 06:30 VN
+  assert.equal(isWithinQuietHours(quietHours, new Date('2026-10-20T01:00:00Z')), false); // 08:00 VN
+});
+
+test('getQuietHoursEnd returns the next end time in the user timezone', () => {
+  // 23:30:45 VN → 07:00 VN sáng hôm sau
+  assert.equal(getQuietHoursEnd(quietHours, new Date('2026-10-19T16:30:45Z')), Date.parse('2026-10-20T00:00:00Z'));
+  // 06:59 VN → 07:00 VN cùng ngày
+  assert.equal(getQuietHoursEnd(quietHours, new Date('2026-10-19T23:59:00Z')), Date.parse('2026-10-20T00:00:00Z'));
+});
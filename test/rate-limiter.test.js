@@ -0,0 +1,54 @@
+/**
+ * Rate limiter backend memory (cùng interface với Firestore).
+ * Chạy: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRateLimiter } = require('../lib/rate-limiter');
+
+test('rate limiter: consume stops at the limit and reports retryAfter', async () => {
+  const limiter = createRateLimiter({ driver: 'memory' });
+  const rule = { limit: 2, windowMs: 60 * 1000 };
+
+  assert.equal((await limiter.consume('otp:a', rule)).allowed, true);
+  assert.equal((await limiter.consume('otp:a', rule)).allowed, true);
+
+  const blocked = await limiter.consume('otp:a', rule);
+  assert.equal(blocked.allowed, false);
+  assert.equal(blocked.count, 2);
+  assert.ok(blocked.retryAfterMs > 0 && blocked.retryAfterMs <= rule.windowMs);
+
+  // check không ghi nhận thêm lượt
+  assert.equal((await limiter.check('otp:b', { limit: 1, windowMs: 1000 })).allowed, true);
+  assert.equal((await limiter.check('otp:b', { limit: 1, windowMs: 1000 })).allowed, true);
+
+  await limiter.reset('otp:a');
+  assert.equal((await limiter.consume('otp:a', rule)).allowed, true);
+});
+
+test('rate limiter: record counts without checking the limit', async () => {
+  const limiter = createRateLimiter({ driver: 'memory' });
+  await limiter.record('lockout', { windowMs: 1000 });
+  await limiter.record('lockout', { windowMs: 1000 });
+  assert.equal((await limiter.check('lockout', { limit: 2, windowMs: 1000 })).allowed, false);
+});
+
+test('rate limiter: consumeMany lets concurrent requests through only up to every limit', async () => {
+  const limiter = createRateLimiter({ driver: 'memory' });
+  const rules = [
+    { key: 'otp:send:email:a', limit: 1, windowMs: 60 * 1000 },
+    { key: 'otp:send:ip:1.2.3.4', limit: 3, windowMs: 60 * 1000 },
+  ];
+
+  const results = await Promise.all(Array.from({ length: 5 }, () => limiter.consumeMany(rules)));
+  assert.equal(results.filter((result) => result.allowed).length, 1);
+
+  const blocked = results.find((result) => !result.allowed);
+  assert.equal(blocked.blockedIndex, 0);
+  assert.ok(blocked.results[0].retryAfterMs > 0);
+
+  // Bucket bị chặn không làm tốn lượt của bucket khác
+  assert.equal((await limiter.check('otp:send:ip:1.2.3.4', rules[1])).count, 1);
+});
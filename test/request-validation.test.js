@@ -0,0 +1,139 @@
+/**
+ * Kiểm tra body / query theo schema (lib/request-validation.js).
+ * Chạy: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { VALIDATION_CODES, validateBody, validateRequest } = require('../lib/request-validation');
+
+/**
+ * Chạy middleware với req giả, trả về { status, body } của response hoặc req sau khi next()
+ * @param {Function} middleware
+ * @param {object} req
+ */
+function run(middleware, req) {
+  let response = null;
+  const res = {
+    status(status) {
+      return { json: (body) => { response = { status, body }; } };
+    },
+  };
+  let passed = false;
+  middleware(req, res, () => { passed = true; });
+  return passed ? { req } : response;
+}
+
+test('drops fields that are not in the schema', () => {
+  const { errors, value } = validateBody(
+    { recipientId: 'u1', title: 'Hi', isAdmin: true, __proto__field: 1 },
+    { recipientId: { type: 'id', required: true }, title: { type: 'string' } }
+  );
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, { recipientId: 'u1', title: 'Hi' });
+});
+
+test('nested objects reject unknown keys and report every invalid field', () => {
+  const schema = {
+    quietHours: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        start: { type: 'string', validate: (value) => /^\d{2}:\d{2}$/.test(value) || 'must be HH:MM (24h)' },
+        vipSenders: { type: 'array', maxItems: 2, items: { type: 'id' } },
+      },
+    },
+  };
+
+  const { errors } = validateBody({ quietHours: { enabled: 'yes', start: '7h', vipSenders: ['a', ''], foo: 1 } }, schema);
+  assert.deepEqual(
+    errors.map(({ field, code }) => [field, code]),
+    [
+      ['quietHours.foo', VALIDATION_CODES.UNKNOWN_FIELD],
+      ['quietHours.enabled', VALIDATION_CODES.INVALID_TYPE],
+      ['quietHours.start', VALIDATION_CODES.INVALID_VALUE],
+      ['quietHours.vipSenders[1]', VALIDATION_CODES.REQUIRED],
+    ]
+  );
+
+  const valid = validateBody({ quietHours: { start: '22:00', vipSenders: [] } }, schema);
+  assert.deepEqual(valid, { errors: [], value: { quietHours: { start: '22:00', vipSenders: [] } } });
+});
+
+test('arrays check their length and each item', () => {
+  const schema = { ids: { type: 'array', required: true, minItems: 1, maxItems: 2, items: { type: 'id' } } };
+  assert.equal(validateBody({ ids: [] }, schema).errors[0].code, VALIDATION_CODES.OUT_OF_RANGE);
+  assert.equal(validateBody({ ids: ['a', 'b', 'c'] }, schema).errors[0].code, VALIDATION_CODES.OUT_OF_RANGE);
+  assert.equal(validateBody({ ids: ['a/b'] }, schema).errors[0].field, 'ids[0]');
+  assert.deepEqual(validateBody({ ids: ['a', 'b'] }, schema).value, { ids: ['a', 'b'] });
+});
+
+test('lists accept comma-separated strings and arrays', () => {
+  const schema = { type: { type: 'list', enum: ['mention', 'post_comment'], maxItems: 2 } };
+  assert.deepEqual(validateBody({ type: 'mention, post_comment,mention' }, schema).value, { type: ['mention', 'post_comment'] });
+  assert.deepEqual(validateBody({ type: ['mention'] }, schema).value, { type: ['mention'] });
+  assert.deepEqual(validateBody({ type: ' , ' }, schema).value, {});
+  assert.equal(validateBody({ type: 'mention,nope' }, schema).errors[0].code, VALIDATION_CODES.INVALID_VALUE);
+});
+
+test('digits accept numbers and trimmed strings', () => {
+  const schema = { otp: { type: 'digits', required: true, maxLength: 6 } };
+  assert.deepEqual(validateBody({ otp: 123456 }, schema).value, { otp: '123456' });
+  assert.deepEqual(validateBody({ otp: ' 012345 ' }, schema).value, { otp: '012345' });
+  assert.equal(validateBody({ otp: '12a' }, schema).errors[0].code, VALIDATION_CODES.INVALID_VALUE);
+  assert.equal(validateBody({ otp: '1234567' }, schema).errors[0].code, VALIDATION_CODES.TOO_LONG);
+});
+
+test('digits with length left-pad numeric input and require the exact length', () => {
+  const schema = { otp: { type: 'digits', required: true, length: 6 } };
+  assert.deepEqual(validateBody({ otp: 12345 }, schema).value, { otp: '012345' });
+  assert.deepEqual(validateBody({ otp: 0 }, schema).value, { otp: '000000' });
+  assert.deepEqual(validateBody({ otp: '012345' }, schema).value, { otp: '012345' });
+  assert.equal(validateBody({ otp: '12345' }, schema).errors[0].code, VALIDATION_CODES.INVALID_VALUE);
+  assert.equal(validateBody({ otp: 1234567 }, schema).errors[0].code, VALIDATION_CODES.INVALID_VALUE);
+});
+
+test('validateRequest replaces req.body with the validated value', () => {
+  const middleware = validateRequest({ userId: { type: 'id', required: true } });
+  const { req } = run(middleware, { body: { userId: 'u1', role: 'admin' } });
+  assert.deepEqual(req.body, { userId: 'u1' });
+
+  const { status, body } = run(middleware, { body: {} });
+  assert.equal(status, 400);
+  assert.equal(body.code, 'VALIDATION_FAILED');
+  assert.deepEqual(body.errors, [{ field: 'userId', code: VALIDATION_CODES.REQUIRED, message: 'userId is required' }]);
+});
+
+test('validateRequest requireOneOf needs at least one of the fields', () => {
+  const middleware = validateRequest(
+    { token: { type: 'string' }, deviceId: { type: 'id' } },
+    { requireOneOf: ['token', 'deviceId'] }
+  );
+  const { status, body } = run(middleware, { body: { token: '' } });
+  assert.equal(status, 400);
+  assert.equal(body.errors[0].message, 'one of token, deviceId is required');
+  assert.ok(run(middleware, { body: { deviceId: 'd1' } }).req);
+});
+
+test('validateRequest reads integers and booleans from the query string', () => {
+  const middleware = validateRequest(
+    { limit: { type: 'integer', min: 1, max: 100 }, unread: { type: 'boolean' } },
+    { source: 'query' }
+  );
+  const { req } = run(middleware, { query: { limit: '20', unread: 'true', other: 'x' } });
+  assert.deepEqual(req.query, { limit: 20, unread: true });
+
+  const { status, body } = run(middleware, { query: { limit: '0', unread: 'yes' } });
+  assert.equal(status, 400);
+  assert.equal(body.error, 'Invalid query parameters');
+  assert.deepEqual(body.errors.map(({ field }) => field), ['limit', 'unread']);
+});
+
+test('validateRequest rejects unknown rule types, including nested ones', () => {
+  assert.throws(() => validateRequest({ a: { type: 'uuid' } }), /Unknown validation type "uuid" for a/);
+  assert.throws(
+    () => validateRequest({ a: { type: 'object', properties: { b: { type: 'array', items: { type: 'x' } } } } }),
+    /for a\.b\[\]/
+  );
+});